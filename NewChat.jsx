@@ -1,14 +1,15 @@
 import { auth, db } from "@/firebase"; // Your Firebase config
 import { MaterialIcons } from "@expo/vector-icons";
 import { useRouter } from "expo-router";
-import { collection, onSnapshot, orderBy, query } from "firebase/firestore"; // Import Firestore functions
-import React, { useEffect, useState } from "react";
+import { collection, doc, getDoc, getDocs, query, where } from "firebase/firestore"; // Import Firestore functions
+import React, { useCallback, useEffect, useRef, useState } from "react";
 import {
     ActivityIndicator,
-    FlatList,
+    Alert,
     Image,
     Platform,
     SafeAreaView,
+    SectionList,
     StatusBar,
     StyleSheet,
     Text,
@@ -16,79 +17,273 @@ import {
     TouchableOpacity,
     View,
 } from "react-native";
+import { getBookingStatusLabel } from "./bookingLifecycle";
+import { createGroupChat, subscribeToUserChats } from "./chatService";
+import { blockUser, subscribeToBlockedUsers } from "./moderationService";
+import { getUserProfiles, searchUsers, USER_ROLES } from "./userService";
+
+const SEARCH_DEBOUNCE_MS = 300;
+const MAX_RECENT_CONTACTS = 10;
+
+// Firestore Timestamps and plain dates both have a sortable value; missing ones sort last
+const toMillis = (value) => value?.toMillis?.() ?? (value ? new Date(value).getTime() || 0 : 0);
 
 const NewChatScreen = () => {
     const router = useRouter();
     const [loading, setLoading] = useState(true);
     const [users, setUsers] = useState([]); // List of users to choose from
     const [searchQuery, setSearchQuery] = useState("");
+    const [groupMode, setGroupMode] = useState(false); // Multi-select for group chats
+    const [selectedUsers, setSelectedUsers] = useState([]);
+    const [groupTitle, setGroupTitle] = useState("");
+    const [creatingGroup, setCreatingGroup] = useState(false);
+    const [blockedUids, setBlockedUids] = useState([]);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [cursor, setCursor] = useState(null); // Last user document of the loaded pages
+    const [hasMore, setHasMore] = useState(false);
+    const searchIdRef = useRef(0); // Responses for an outdated query are dropped
+    const [roleFilter, setRoleFilter] = useState(null); // One of USER_ROLES' values, or null for everyone
+    // People we already have a relationship with, each row carrying what links us (vehicle/booking)
+    const [recentContacts, setRecentContacts] = useState([]);
+    const [providerContacts, setProviderContacts] = useState([]);
+    const [profiles, setProfiles] = useState({}); // Current name/photo/role of those contacts, by uid
 
+    // "Recent conversations": the latest one-to-one chat with each person
     useEffect(() => {
-        const fetchUsers = () => {
-            setLoading(true);
-            const currentUserUid = auth.currentUser?.uid;
-            if (!currentUserUid) {
-                setLoading(false);
-                return;
-            }
+        const currentUserUid = auth.currentUser?.uid;
+        if (!currentUserUid) return;
 
-            // Query all users except the current one
-            // In a real app, you might want pagination or more specific filters
-            const usersRef = collection(db, "users");
-            const q = query(
-                usersRef,
-                // You might add a 'where' clause if you want to filter specific types of users (e.g., only owners)
-                orderBy("displayName", "asc") // Order by name for easier Browse
-                // limit(50) // Limit the number of users fetched for performance
-            );
-
-            const unsubscribe = onSnapshot(q, (snapshot) => {
-                const fetchedUsers = snapshot.docs
-                    .filter(doc => doc.id !== currentUserUid) // Exclude current user
-                    .map(doc => ({
-                        id: doc.id,
-                        displayName: doc.data().displayName || doc.data().fullName || doc.data().email,
-                        profileImage: doc.data().profileImage || null,
-                        // Add any other user details you need
-                    }));
-                setUsers(fetchedUsers);
-                setLoading(false);
-            }, (error) => {
-                console.error("Error fetching users for new chat:", error);
-                setLoading(false);
+        return subscribeToUserChats(currentUserUid, (snapshot) => {
+            const contacts = [];
+            snapshot.docs.forEach((chatDoc) => {
+                const chat = chatDoc.data();
+                const otherUserId = chat.participants.find((uid) => uid !== currentUserUid);
+                if (chat.isGroup || !otherUserId || contacts.some((contact) => contact.id === otherUserId)) return;
+                contacts.push({
+                    id: otherUserId,
+                    displayName: chat.participantNames?.[otherUserId] || "Unknown User",
+                    profileImage: chat.participantImages?.[otherUserId] || null,
+                    context: chat.vehicleName || chat.lastMessageText || null,
+                    vehicleName: chat.vehicleName || null,
+                    bookingId: chat.bookingId || null,
+                });
             });
+            setRecentContacts(contacts.slice(0, MAX_RECENT_CONTACTS));
+        }, (error) => {
+            console.error("Error fetching recent conversations:", error);
+        });
+    }, []);
 
-            return () => unsubscribe(); // Cleanup listener
-        };
+    // "Your rental providers": the owner of each car we've booked, linked to the latest booking with them
+    useEffect(() => {
+        const currentUserUid = auth.currentUser?.uid;
+        if (!currentUserUid) return;
 
-        fetchUsers();
+        getDocs(query(collection(db, "bookings"), where("userId", "==", currentUserUid)))
+            .then((snapshot) => {
+                const contacts = [];
+                snapshot.docs
+                    .sort((a, b) => toMillis(b.data().timestamp) - toMillis(a.data().timestamp))
+                    .forEach((bookingDoc) => {
+                        const booking = bookingDoc.data();
+                        if (!booking.ownerId || contacts.some((contact) => contact.id === booking.ownerId)) return;
+                        const vehicleName = `${booking.vehicleBrand ?? ""} ${booking.vehicleModel ?? ""}`.trim() || null;
+                        contacts.push({
+                            id: booking.ownerId,
+                            displayName: booking.ownerName || "Rental Provider",
+                            profileImage: null,
+                            role: "owner",
+                            context: [vehicleName, getBookingStatusLabel(booking.status)].filter(Boolean).join(" · ") || "Booking",
+                            vehicleName,
+                            bookingId: bookingDoc.id,
+                        });
+                    });
+                setProviderContacts(contacts);
+            })
+            .catch((error) => console.error("Error fetching rental providers:", error));
     }, []);
 
-    const filteredUsers = users.filter(user =>
-        user.displayName.toLowerCase().includes(searchQuery.toLowerCase())
-    );
+    // Chats and bookings only have the name as it was back then, and no role
+    const contactIdsKey = [...new Set([...recentContacts, ...providerContacts].map((contact) => contact.id))].sort().join(",");
+    useEffect(() => {
+        if (!contactIdsKey) return;
+        getUserProfiles(contactIdsKey.split(","))
+            .then(setProfiles)
+            .catch((error) => console.error("Error fetching contact profiles:", error));
+    }, [contactIdsKey]);
+
+    // Searches the directory on the server once typing pauses; an empty query lists everyone by name
+    useEffect(() => {
+        const searchId = ++searchIdRef.current;
+        setLoading(true);
+        const timeout = setTimeout(async () => {
+            try {
+                const page = await searchUsers({ term: searchQuery, role: roleFilter });
+                if (searchId !== searchIdRef.current) return;
+                setUsers(page.users);
+                setCursor(page.cursor);
+                setHasMore(page.hasMore);
+            } catch (error) {
+                console.error("Error searching users for new chat:", error);
+            } finally {
+                if (searchId === searchIdRef.current) setLoading(false);
+            }
+        }, SEARCH_DEBOUNCE_MS);
+
+        return () => clearTimeout(timeout);
+    }, [searchQuery, roleFilter]);
+
+    const loadMoreUsers = useCallback(async () => {
+        if (loading || loadingMore || !hasMore) return;
+
+        const searchId = searchIdRef.current;
+        setLoadingMore(true);
+        try {
+            const page = await searchUsers({ term: searchQuery, role: roleFilter, cursor });
+            if (searchId !== searchIdRef.current) return;
+            setUsers((current) => [...current, ...page.users.filter((user) => !current.some((loaded) => loaded.id === user.id))]);
+            setCursor(page.cursor);
+            setHasMore(page.hasMore);
+        } catch (error) {
+            console.error("Error loading more users:", error);
+        } finally {
+            setLoadingMore(false);
+        }
+    }, [loading, loadingMore, hasMore, searchQuery, roleFilter, cursor]);
+
+    // People we've blocked don't show up here at all
+    useEffect(() => {
+        const currentUserUid = auth.currentUser?.uid;
+        if (!currentUserUid) return;
+        return subscribeToBlockedUsers(currentUserUid, (blockedUsers) => {
+            setBlockedUids(blockedUsers.map((blockedUser) => blockedUser.uid));
+        });
+    }, []);
+
+    // Matching happens on the server; we only hide ourselves and people we've blocked
+    const isListed = (user) => user.id !== auth.currentUser?.uid && !blockedUids.includes(user.id);
+    const withProfile = (contact) => ({
+        ...contact,
+        displayName: profiles[contact.id]?.displayName || contact.displayName,
+        profileImage: profiles[contact.id]?.profileImage || contact.profileImage,
+        role: profiles[contact.id]?.role || contact.role || null,
+    });
+    // Directory rows show what links us to the person too, when there is something
+    const linkedContacts = [...recentContacts, ...providerContacts];
+    const filteredUsers = users.filter(isListed).map((user) => {
+        const linked = linkedContacts.find((contact) => contact.id === user.id);
+        return linked ? { ...user, context: linked.context, vehicleName: linked.vehicleName, bookingId: linked.bookingId } : user;
+    });
+    const matchesRole = (contact) => !roleFilter || contact.role === roleFilter;
+
+    const sections = searchQuery.trim()
+        ? [{ key: "results", title: null, data: filteredUsers }]
+        : [
+            { key: "recent", title: "Recent conversations", data: recentContacts.map(withProfile).filter((contact) => isListed(contact) && matchesRole(contact)) },
+            { key: "providers", title: "Your rental providers", data: providerContacts.map(withProfile).filter((contact) => isListed(contact) && matchesRole(contact)) },
+            { key: "all", title: "All users", data: filteredUsers },
+        ].filter((section) => section.data.length > 0);
+
+    const handleBlockUser = (user) => {
+        Alert.alert(`Block ${user.displayName}?`, "They won't be able to message you, and they'll be hidden from this list.", [
+            { text: "Cancel", style: "cancel" },
+            {
+                text: "Block",
+                style: "destructive",
+                onPress: () => blockUser(auth.currentUser.uid, { uid: user.id, name: user.displayName, image: user.profileImage })
+                    .catch((error) => {
+                        console.error("Error blocking user:", error);
+                        Alert.alert("Error", "Could not block the user: " + error.message);
+                    }),
+            },
+        ]);
+    };
+
+    const toggleGroupMode = () => {
+        setGroupMode(!groupMode);
+        setSelectedUsers([]);
+        setGroupTitle("");
+    };
+
+    const toggleSelectedUser = (user) => {
+        setSelectedUsers((current) => current.some((selected) => selected.id === user.id)
+            ? current.filter((selected) => selected.id !== user.id)
+            : [...current, user]);
+    };
+
+    const handleCreateGroup = async () => {
+        const currentUserUid = auth.currentUser?.uid;
+        if (!currentUserUid || selectedUsers.length < 2) {
+            Alert.alert("Add more people", "Pick at least two people for a group chat.");
+            return;
+        }
+        if (!groupTitle.trim()) {
+            Alert.alert("Group name", "Please give the group a name.");
+            return;
+        }
+
+        setCreatingGroup(true);
+        try {
+            const profileSnap = await getDoc(doc(db, "users", currentUserUid));
+            const profile = profileSnap.exists() ? profileSnap.data() : {};
+            const title = groupTitle.trim();
+            const chatId = await createGroupChat({
+                title,
+                creator: {
+                    uid: currentUserUid,
+                    name: profile.displayName || profile.fullName || auth.currentUser.email,
+                    image: profile.profileImage || null,
+                },
+                members: selectedUsers.map((user) => ({ uid: user.id, name: user.displayName, image: user.profileImage })),
+            });
+            router.replace({ pathname: `/chat/${chatId}`, params: { chatId, title } });
+        } catch (error) {
+            console.error("Error creating group chat:", error);
+            Alert.alert("Error", "Could not create the group: " + error.message);
+        } finally {
+            setCreatingGroup(false);
+        }
+    };
 
     const renderUserItem = ({ item }) => (
         <TouchableOpacity
             style={styles.userItem}
             onPress={() => {
-                // Navigate to the ChatScreen with the selected user's details
+                if (groupMode) {
+                    toggleSelectedUser(item);
+                    return;
+                }
+                // Navigate to the ChatScreen with the selected user's details. Contacts we know through a
+                // booking open that booking's thread; anyone else gets the general one.
                 router.push({
                     pathname: `/chat/${item.id}`,
                     params: {
                         recipientId: item.id,
                         recipientName: item.displayName,
                         recipientImage: item.profileImage,
-                        // No vehicleName here, as it's a new chat not yet tied to a specific booking
+                        ...(item.vehicleName ? { vehicleName: item.vehicleName } : {}),
+                        ...(item.bookingId ? { bookingId: item.bookingId } : {}),
                     },
                 });
             }}
+            onLongPress={() => handleBlockUser(item)}
         >
             <Image
                 source={{ uri: item.profileImage || 'https://via.placeholder.com/150/CCCCCC/FFFFFF?text=User' }}
                 style={styles.userItemImage}
             />
-            <Text style={styles.userItemName}>{item.displayName}</Text>
+            <View style={styles.userItemInfo}>
+                <Text style={styles.userItemName}>{item.displayName}</Text>
+                {item.context && <Text style={styles.userItemContext} numberOfLines={1}>{item.context}</Text>}
+            </View>
+            {groupMode && (
+                <MaterialIcons
+                    name={selectedUsers.some((selected) => selected.id === item.id) ? "check-circle" : "radio-button-unchecked"}
+                    size={24}
+                    color="#4285F4"
+                    style={styles.selectIcon}
+                />
+            )}
         </TouchableOpacity>
     );
 
@@ -100,10 +295,33 @@ const NewChatScreen = () => {
                 <TouchableOpacity style={styles.headerIcon} onPress={() => router.back()}>
                     <MaterialIcons name="arrow-back" size={26} color="#333" />
                 </TouchableOpacity>
-                <Text style={styles.headerTitle}>Start New Chat</Text>
-                <View style={styles.headerIconPlaceholder} /> {/* For spacing */}
+                <Text style={styles.headerTitle}>{groupMode ? "New Group" : "Start New Chat"}</Text>
+                <TouchableOpacity style={styles.headerIcon} onPress={toggleGroupMode}>
+                    <MaterialIcons name={groupMode ? "person" : "group-add"} size={26} color="#333" />
+                </TouchableOpacity>
             </View>
 
+            {groupMode && (
+                <View style={styles.groupBar}>
+                    <TextInput
+                        style={styles.groupTitleInput}
+                        placeholder="Group name (e.g. Booking dispute – Civic)"
+                        placeholderTextColor="#8A8A8E"
+                        value={groupTitle}
+                        onChangeText={setGroupTitle}
+                    />
+                    <TouchableOpacity
+                        style={[styles.createGroupButton, (creatingGroup || selectedUsers.length < 2) && styles.createGroupButtonDisabled]}
+                        onPress={handleCreateGroup}
+                        disabled={creatingGroup}
+                    >
+                        <Text style={styles.createGroupButtonText}>
+                            {creatingGroup ? "Creating…" : `Create (${selectedUsers.length})`}
+                        </Text>
+                    </TouchableOpacity>
+                </View>
+            )}
+
             <View style={styles.searchBarContainer}>
                 <MaterialIcons name="search" size={20} color="#8A8A8E" style={styles.searchIcon} />
                 <TextInput
@@ -115,15 +333,31 @@ const NewChatScreen = () => {
                 />
             </View>
 
+            <View style={styles.roleFilterRow}>
+                {[{ value: null, label: "Everyone" }, ...USER_ROLES].map((role) => (
+                    <TouchableOpacity
+                        key={role.label}
+                        style={[styles.roleChip, roleFilter === role.value && styles.roleChipActive]}
+                        onPress={() => setRoleFilter(role.value)}
+                    >
+                        <Text style={[styles.roleChipText, roleFilter === role.value && styles.roleChipTextActive]}>{role.label}</Text>
+                    </TouchableOpacity>
+                ))}
+            </View>
+
             {loading ? (
                 <View style={styles.loadingContainer}>
                     <ActivityIndicator size="large" color="#4285F4" />
                 </View>
             ) : (
-                <FlatList
-                    data={filteredUsers}
+                <SectionList
+                    sections={sections}
                     renderItem={renderUserItem}
-                    keyExtractor={(item) => item.id}
+                    renderSectionHeader={({ section }) => section.title && (
+                        <Text style={styles.sectionTitle}>{section.title}</Text>
+                    )}
+                    stickySectionHeadersEnabled={false}
+                    keyExtractor={(item, index) => `${item.id}_${index}`}
                     contentContainerStyle={styles.userList}
                     showsVerticalScrollIndicator={false}
                     ListEmptyComponent={() => (
@@ -131,6 +365,20 @@ const NewChatScreen = () => {
                             <Text style={styles.emptyListText}>No users found.</Text>
                         </View>
                     )}
+                    onEndReached={loadMoreUsers}
+                    onEndReachedThreshold={0.5}
+                    keyboardShouldPersistTaps="handled"
+                    ListFooterComponent={() => (
+                        <>
+                            {loadingMore && <ActivityIndicator style={styles.loadingMore} color="#4285F4" />}
+                            {!hasMore && blockedUids.length > 0 && (
+                                <TouchableOpacity style={styles.blockedLink} onPress={() => router.push('/blocked')}>
+                                    <MaterialIcons name="block" size={18} color="#888" />
+                                    <Text style={styles.blockedLinkText}>Blocked users ({blockedUids.length})</Text>
+                                </TouchableOpacity>
+                            )}
+                        </>
+                    )}
                 />
             )}
         </SafeAreaView>
@@ -172,9 +420,36 @@ const styles = StyleSheet.create({
     headerIcon: {
         padding: 5,
     },
-    headerIconPlaceholder: {
-        width: 36, // Match the size of the MaterialIcons for alignment
-        height: 36,
+    groupBar: {
+        flexDirection: "row",
+        alignItems: "center",
+        backgroundColor: "white",
+        paddingHorizontal: 15,
+        paddingVertical: 10,
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: "#E0E0E0",
+    },
+    groupTitleInput: {
+        flex: 1,
+        color: "#333",
+        fontSize: 16,
+        marginRight: 10,
+    },
+    createGroupButton: {
+        backgroundColor: "#4285F4",
+        paddingVertical: 8,
+        paddingHorizontal: 14,
+        borderRadius: 8,
+    },
+    createGroupButtonDisabled: {
+        opacity: 0.5,
+    },
+    createGroupButtonText: {
+        color: "white",
+        fontWeight: "bold",
+    },
+    selectIcon: {
+        marginLeft: "auto",
     },
     headerTitle: {
         fontSize: 20,
@@ -221,11 +496,64 @@ const styles = StyleSheet.create({
         backgroundColor: '#C4C4C4',
         marginRight: 15,
     },
+    userItemInfo: {
+        flex: 1,
+    },
+    userItemContext: {
+        fontSize: 13,
+        color: "#4285F4",
+        marginTop: 2,
+    },
+    sectionTitle: {
+        fontSize: 14,
+        fontWeight: "600",
+        color: "#777",
+        paddingHorizontal: 15,
+        paddingTop: 15,
+        paddingBottom: 8,
+    },
+    roleFilterRow: {
+        flexDirection: "row",
+        paddingHorizontal: 15,
+        marginBottom: 5,
+        gap: 8,
+    },
+    roleChip: {
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+        borderRadius: 16,
+        backgroundColor: "#E0E0E0",
+    },
+    roleChipActive: {
+        backgroundColor: "#4285F4",
+    },
+    roleChipText: {
+        fontSize: 13,
+        color: "#333",
+    },
+    roleChipTextActive: {
+        color: "white",
+        fontWeight: "bold",
+    },
     userItemName: {
         fontSize: 17,
         fontWeight: "600",
         color: "#333",
     },
+    loadingMore: {
+        paddingVertical: 15,
+    },
+    blockedLink: {
+        flexDirection: "row",
+        alignItems: "center",
+        justifyContent: "center",
+        paddingVertical: 20,
+    },
+    blockedLinkText: {
+        color: "#888",
+        fontSize: 14,
+        marginLeft: 6,
+    },
     emptyListContainer: {
         flex: 1,
         justifyContent: 'center',
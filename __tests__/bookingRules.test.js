@@ -0,0 +1,37 @@
+import { describe, expect, test } from "@jest/globals";
+import { readFileSync } from "fs";
+import { resolve } from "path";
+import { BOOKING_STATUSES, BOOKING_TRANSITIONS, LEGACY_STATUS_ALIASES } from "../functions/shared/bookingStatus";
+
+// firestore.rules can't import functions/shared/bookingStatus.js, so it carries its own copy of the
+// status tables. These checks keep the copy in step; the rules themselves are tested in
+// __tests__/emulator/firestoreRules.test.js.
+
+const rules = readFileSync(resolve(__dirname, "../firestore.rules"), "utf8");
+
+// The map literal returned by a rules function, e.g. bookingStatusAliases()
+const getRulesMap = (functionName) => {
+    const match = new RegExp(`function ${functionName}\\(\\) \\{\\s*return (\\{[\\s\\S]*?\\});`).exec(rules);
+    if (!match) throw new Error(`${functionName}() not found in firestore.rules`);
+    return JSON.parse(match[1]);
+};
+
+describe("booking status tables in firestore.rules", () => {
+    test("map every legacy spelling like normalizeBookingStatus", () => {
+        const aliases = {};
+        Object.entries(LEGACY_STATUS_ALIASES).forEach(([status, spellings]) => {
+            spellings.forEach((spelling) => {
+                aliases[spelling] = status;
+            });
+        });
+        expect(getRulesMap("bookingStatusAliases")).toEqual(aliases);
+    });
+
+    test("allow the owner the lifecycle's transitions, except cancelling", () => {
+        const ownerTransitions = {};
+        Object.entries(BOOKING_TRANSITIONS).forEach(([from, targets]) => {
+            ownerTransitions[from] = targets.filter((to) => to !== BOOKING_STATUSES.CANCELLED);
+        });
+        expect(getRulesMap("ownerBookingTransitions")).toEqual(ownerTransitions);
+    });
+});
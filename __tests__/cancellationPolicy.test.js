@@ -0,0 +1,156 @@
+import { describe, expect, test } from "@jest/globals";
+import { execFileSync } from "child_process";
+import { Timestamp } from "firebase/firestore";
+import { resolve } from "path";
+import { calculateRefund, getCancellationPolicy } from "../functions/shared/cancellationPolicy";
+
+// functions/shared/cancellationPolicy.js, with the clock passed in as `now`
+
+const HOUR_MS = 60 * 60 * 1000;
+const PICKUP = "2024-06-03T10:00:00.000Z";
+const FREE_UNTIL = new Date(Date.parse(PICKUP) - 48 * HOUR_MS);
+
+const hoursBefore = (hours) => new Date(Date.parse(PICKUP) - hours * HOUR_MS);
+
+const refundAt = (now, booking = {}) => calculateRefund({
+    price: 100,
+    startDate: PICKUP,
+    policy: getCancellationPolicy(booking),
+    now,
+    ...booking,
+});
+
+// A date-only startDate depends on the local time zone, which can't be changed inside a running
+// process, so those cases run the module in a child process with TZ set
+const refundInTimeZone = (timeZone, { startDate, now }) => {
+    const script = `
+        const { calculateRefund } = require(process.argv[1]);
+        const { startDate, now } = JSON.parse(process.argv[2]);
+        process.stdout.write(JSON.stringify(calculateRefund({ price: 100, startDate, now: new Date(now) })));
+    `;
+    const modulePath = resolve(__dirname, "../functions/shared/cancellationPolicy.js");
+    const output = execFileSync(process.execPath, ["-e", script, modulePath, JSON.stringify({ startDate, now })], {
+        env: { ...process.env, TZ: timeZone },
+    });
+    return JSON.parse(output.toString());
+};
+
+describe("tiers", () => {
+    test("exactly freeCancellationHours before pickup is still free", () => {
+        expect(refundAt(FREE_UNTIL)).toMatchObject({ tier: "free", refundPercent: 100, refundAmount: 100, fee: 0 });
+    });
+
+    test("a millisecond later is partial", () => {
+        expect(refundAt(new Date(FREE_UNTIL.getTime() + 1))).toMatchObject({ tier: "partial", refundPercent: 50, refundAmount: 50, fee: 50 });
+    });
+
+    test("exactly at pickup is too late", () => {
+        expect(refundAt(new Date(PICKUP))).toMatchObject({ tier: "none", refundPercent: 0, refundAmount: 0, fee: 100 });
+    });
+
+    test("after pickup is too late", () => {
+        expect(refundAt(hoursBefore(-1)).tier).toBe("none");
+    });
+
+    test("reports when free cancellation ends and how long is left", () => {
+        const refund = refundAt(hoursBefore(72));
+        expect(refund.freeUntil).toEqual(FREE_UNTIL);
+        expect(refund.hoursBeforePickup).toBe(72);
+    });
+});
+
+describe("pickup time", () => {
+    test("an ISO string with an offset is read as that instant", () => {
+        const startDate = "2024-06-03T10:00:00+02:00"; // 08:00 UTC
+        const freeUntil = Date.parse("2024-06-01T08:00:00Z");
+        expect(refundAt(new Date(freeUntil), { startDate }).tier).toBe("free");
+        expect(refundAt(new Date(freeUntil + 1), { startDate }).tier).toBe("partial");
+    });
+
+    test("a Firestore Timestamp", () => {
+        const startDate = Timestamp.fromDate(new Date(PICKUP));
+        expect(refundAt(FREE_UNTIL, { startDate }).tier).toBe("free");
+        expect(refundAt(new Date(FREE_UNTIL.getTime() + 1), { startDate }).tier).toBe("partial");
+    });
+
+    test.each([
+        ["no", undefined],
+        ["an empty", ""],
+        ["an invalid", "next Tuesday"],
+    ])("%s startDate gives a full refund", (_, startDate) => {
+        expect(refundAt(new Date(PICKUP), { startDate })).toMatchObject({
+            tier: "free",
+            refundPercent: 100,
+            refundAmount: 100,
+            fee: 0,
+            freeUntil: null,
+            hoursBeforePickup: null,
+        });
+    });
+
+    test.each([
+        // Midnight June 3 in UTC is 2024-06-03T00:00Z, so free cancellation ended at 00:00Z on June 1
+        ["UTC", "partial", "2024-06-01T00:00:00.000Z"],
+        ["America/Los_Angeles", "free", "2024-06-01T07:00:00.000Z"],
+        ["Asia/Kolkata", "partial", "2024-05-31T18:30:00.000Z"],
+    ])("a date-only startDate starts at local midnight in %s", (timeZone, tier, freeUntil) => {
+        const refund = refundInTimeZone(timeZone, { startDate: "2024-06-03", now: "2024-06-01T03:00:00Z" });
+        expect(refund.tier).toBe(tier);
+        expect(refund.freeUntil).toBe(freeUntil);
+    });
+
+    test("hours are counted in real time across a daylight saving change", () => {
+        // Midnight March 11 in New York is 04:00Z (EDT); 48 hours earlier is 04:00Z on March 9, before
+        // the clocks went forward
+        const free = refundInTimeZone("America/New_York", { startDate: "2024-03-11", now: "2024-03-09T04:00:00.000Z" });
+        const partial = refundInTimeZone("America/New_York", { startDate: "2024-03-11", now: "2024-03-09T04:00:00.001Z" });
+        expect(free.tier).toBe("free");
+        expect(free.freeUntil).toBe("2024-03-09T04:00:00.000Z");
+        expect(partial.tier).toBe("partial");
+    });
+});
+
+describe("amounts", () => {
+    test("are rounded to cents, with the fee taking the remainder", () => {
+        expect(refundAt(hoursBefore(1), { price: 33.33 })).toMatchObject({ refundAmount: 16.67, fee: 16.66 });
+    });
+
+    test("accept prices stored as strings", () => {
+        expect(refundAt(hoursBefore(1), { price: "19.99" })).toMatchObject({ refundAmount: 10, fee: 9.99 });
+    });
+
+    test("treat a missing or negative price as zero", () => {
+        expect(refundAt(FREE_UNTIL, { price: undefined })).toMatchObject({ refundAmount: 0, fee: 0 });
+        expect(refundAt(FREE_UNTIL, { price: -50 })).toMatchObject({ refundAmount: 0, fee: 0 });
+    });
+});
+
+describe("per-booking policy", () => {
+    test("overrides the defaults", () => {
+        const booking = { cancellationPolicy: { freeCancellationHours: 24, partialRefundPercent: 25 } };
+        expect(refundAt(hoursBefore(30), booking).tier).toBe("free");
+        expect(refundAt(hoursBefore(12), booking)).toMatchObject({ tier: "partial", refundPercent: 25, refundAmount: 25 });
+    });
+
+    test("keeps the defaults for fields it leaves out", () => {
+        const booking = { cancellationPolicy: { partialRefundPercent: 80 } };
+        expect(refundAt(hoursBefore(47), booking)).toMatchObject({ tier: "partial", refundPercent: 80 });
+        expect(refundAt(hoursBefore(48), booking).tier).toBe("free");
+    });
+
+    test.each([
+        [0, 0],
+        [150, 100],
+        [-20, 0],
+        ["abc", 0],
+    ])("a partialRefundPercent of %p refunds %p%%", (partialRefundPercent, refundPercent) => {
+        const booking = { cancellationPolicy: { partialRefundPercent } };
+        expect(refundAt(hoursBefore(1), booking)).toMatchObject({ tier: "partial", refundPercent, refundAmount: refundPercent });
+    });
+
+    test("a negative freeCancellationHours counts as zero: free right up to pickup", () => {
+        const booking = { cancellationPolicy: { freeCancellationHours: -5 } };
+        expect(refundAt(hoursBefore(1), booking)).toMatchObject({ tier: "free", freeUntil: new Date(PICKUP) });
+        expect(refundAt(hoursBefore(0), booking).tier).toBe("none");
+    });
+});
@@ -0,0 +1,226 @@
+import { initializeTestEnvironment } from "@firebase/rules-unit-testing";
+import { afterAll, beforeAll, beforeEach, describe, expect, jest, test } from "@jest/globals";
+import { doc, setDoc, Timestamp } from "firebase/firestore";
+import {
+    fetchEarlierMessages,
+    getChatId,
+    MESSAGES_PAGE_SIZE,
+    subscribeToChat,
+    subscribeToMessages,
+    subscribeToThread,
+} from "../../chatService";
+import { setTestFirestore } from "./firebase";
+
+// The subscription layer ChatScreen uses, against the Firestore emulator (npm run test:emulator)
+
+const ALICE = "alice";
+const BOB = "bob";
+const CALLBACK_TIMEOUT_MS = 5000;
+
+let testEnv;
+
+// Writes test data as an admin, so it doesn't depend on the security rules
+const seed = (path, data) => testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), path), data));
+
+const seedMessages = async (chatId, count) => {
+    for (let i = 1; i <= count; i++) {
+        await seed(`chats/${chatId}/messages/m${String(i).padStart(3, "0")}`, {
+            text: `Message ${i}`,
+            senderId: ALICE,
+            createdAt: Timestamp.fromMillis(i * 1000),
+        });
+    }
+};
+
+// Subscribes and resolves with the first value passed to the callback that satisfies check
+const waitForCallback = (subscribe, check = () => true) => new Promise((resolve, reject) => {
+    let unsubscribe = null;
+    let settled = false;
+    const finish = (settle) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+        settle();
+        // Callbacks never run synchronously, but don't rely on it
+        Promise.resolve().then(() => unsubscribe?.());
+    };
+    const timeout = setTimeout(() => finish(() => reject(new Error("No matching callback"))), CALLBACK_TIMEOUT_MS);
+    unsubscribe = subscribe((value) => {
+        if (check(value)) finish(() => resolve(value));
+    });
+});
+
+const messageIds = (snapshot) => snapshot.docs.map((messageDoc) => messageDoc.id);
+
+beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({ projectId: "demo-car-rental" });
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    setTestFirestore(testEnv.authenticatedContext(ALICE).firestore());
+});
+
+afterAll(async () => {
+    await testEnv.cleanup();
+});
+
+describe("getChatId", () => {
+    test("is the same whoever starts the chat", () => {
+        expect(getChatId([BOB, ALICE])).toBe("alice_bob");
+        expect(getChatId([ALICE, BOB])).toBe("alice_bob");
+    });
+
+    test("gives each booking its own thread", () => {
+        expect(getChatId([BOB, ALICE], "booking1")).toBe("alice_bob_booking1");
+    });
+});
+
+describe("subscribeToChat", () => {
+    test("calls back with null until the document exists, then with its data", async () => {
+        const values = [];
+        const chat = await waitForCallback(
+            (callback) => subscribeToChat("alice_bob", (value) => {
+                values.push(value);
+                if (value === null) seed("chats/alice_bob", { participants: [ALICE, BOB], lastMessageText: "Hi" });
+                callback(value);
+            }),
+            Boolean
+        );
+
+        expect(values[0]).toBeNull();
+        expect(chat.lastMessageText).toBe("Hi");
+    });
+});
+
+describe("subscribeToThread", () => {
+    test("uses the derived id, with no chat yet, for a new pair", async () => {
+        const thread = await waitForCallback((callback) => subscribeToThread({ participants: [BOB, ALICE] }, callback));
+        expect(thread).toEqual({ chatId: "alice_bob", chat: null });
+    });
+
+    test("finds the thread stored under the derived id", async () => {
+        await seed("chats/alice_bob", { participants: [ALICE, BOB], bookingId: null, lastMessageText: "Hi" });
+        const thread = await waitForCallback((callback) => subscribeToThread({ participants: [ALICE, BOB] }, callback));
+        expect(thread.chatId).toBe("alice_bob");
+        expect(thread.chat.lastMessageText).toBe("Hi");
+    });
+
+    test("falls back to a chat created with a random id before ids were derived", async () => {
+        await seed("chats/legacyGeneral", { participants: [ALICE, BOB], lastMessageText: "Old thread" });
+        const thread = await waitForCallback((callback) => subscribeToThread({ participants: [BOB, ALICE] }, callback));
+        expect(thread.chatId).toBe("legacyGeneral");
+        expect(thread.chat.lastMessageText).toBe("Old thread");
+    });
+
+    test("finds a legacy booking thread by its bookingId", async () => {
+        await seed("chats/legacyBooking", { participants: [ALICE, BOB], bookingId: "booking1" });
+        const thread = await waitForCallback((callback) => subscribeToThread({ participants: [ALICE, BOB], bookingId: "booking1" }, callback));
+        expect(thread.chatId).toBe("legacyBooking");
+    });
+
+    test("keeps booking threads and the general thread apart", async () => {
+        await seed("chats/legacyGeneral", { participants: [ALICE, BOB] });
+        await seed("chats/legacyBooking", { participants: [ALICE, BOB], bookingId: "booking1" });
+
+        const bookingThread = await waitForCallback((callback) => subscribeToThread({ participants: [ALICE, BOB], bookingId: "booking2" }, callback));
+        expect(bookingThread).toEqual({ chatId: "alice_bob_booking2", chat: null });
+
+        const generalThread = await waitForCallback((callback) => subscribeToThread({ participants: [ALICE, BOB] }, callback));
+        expect(generalThread.chatId).toBe("legacyGeneral");
+    });
+
+    test("never picks a group chat with the same members", async () => {
+        await seed("chats/group1", { isGroup: true, participants: [ALICE, BOB], title: "Trip" });
+        const thread = await waitForCallback((callback) => subscribeToThread({ participants: [ALICE, BOB] }, callback));
+        expect(thread).toEqual({ chatId: "alice_bob", chat: null });
+    });
+
+    test("reports the chat once the first message creates it", async () => {
+        const thread = await waitForCallback(
+            (callback) => {
+                const unsubscribe = subscribeToThread({ participants: [ALICE, BOB] }, callback);
+                seed("chats/alice_bob", { participants: [ALICE, BOB], lastMessageText: "First" });
+                return unsubscribe;
+            },
+            ({ chat }) => chat !== null
+        );
+        expect(thread.chatId).toBe("alice_bob");
+        expect(thread.chat.lastMessageText).toBe("First");
+    });
+
+    test("doesn't call back after unsubscribing, even before the lookup has finished", async () => {
+        const callback = jest.fn();
+        const unsubscribe = subscribeToThread({ participants: [ALICE, BOB] }, callback);
+        unsubscribe();
+
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+        expect(callback).not.toHaveBeenCalled();
+    });
+});
+
+describe("subscribeToMessages", () => {
+    test("without an anchor gives the newest page, newest first", async () => {
+        await seedMessages("alice_bob", MESSAGES_PAGE_SIZE + 5);
+        const snapshot = await waitForCallback(
+            (callback) => subscribeToMessages("alice_bob", null, callback),
+            (messagesSnapshot) => !messagesSnapshot.metadata.fromCache
+        );
+
+        expect(snapshot.docs).toHaveLength(MESSAGES_PAGE_SIZE);
+        expect(messageIds(snapshot)[0]).toBe("m035");
+        expect(messageIds(snapshot)[MESSAGES_PAGE_SIZE - 1]).toBe("m006");
+    });
+
+    test("with an anchor keeps every message from the anchor on as new ones arrive", async () => {
+        await seedMessages("alice_bob", MESSAGES_PAGE_SIZE);
+        const firstPage = await waitForCallback(
+            (callback) => subscribeToMessages("alice_bob", null, callback),
+            (messagesSnapshot) => !messagesSnapshot.metadata.fromCache
+        );
+        const anchor = firstPage.docs[firstPage.docs.length - 1];
+
+        const snapshot = await waitForCallback(
+            (callback) => {
+                const unsubscribe = subscribeToMessages("alice_bob", anchor, callback);
+                seed("chats/alice_bob/messages/m999", { text: "New", senderId: BOB, createdAt: Timestamp.fromMillis(999000) });
+                return unsubscribe;
+            },
+            (messagesSnapshot) => messageIds(messagesSnapshot).includes("m999")
+        );
+
+        expect(snapshot.docs).toHaveLength(MESSAGES_PAGE_SIZE + 1);
+        expect(messageIds(snapshot)[MESSAGES_PAGE_SIZE]).toBe("m001");
+    });
+
+    test("confirms an empty thread from the server, and an epoch anchor picks up its first message", async () => {
+        const emptySnapshot = await waitForCallback(
+            (callback) => subscribeToMessages("alice_bob", null, callback),
+            (messagesSnapshot) => !messagesSnapshot.metadata.fromCache
+        );
+        expect(emptySnapshot.empty).toBe(true);
+
+        const snapshot = await waitForCallback(
+            (callback) => {
+                const unsubscribe = subscribeToMessages("alice_bob", Timestamp.fromMillis(0), callback);
+                seed("chats/alice_bob/messages/m001", { text: "Hello", senderId: BOB, createdAt: Timestamp.fromMillis(1000) });
+                return unsubscribe;
+            },
+            (messagesSnapshot) => !messagesSnapshot.empty
+        );
+        expect(messageIds(snapshot)).toEqual(["m001"]);
+    });
+});
+
+describe("fetchEarlierMessages", () => {
+    test("returns the page before the cursor", async () => {
+        await seedMessages("alice_bob", MESSAGES_PAGE_SIZE + 5);
+        const firstPage = await waitForCallback(
+            (callback) => subscribeToMessages("alice_bob", null, callback),
+            (messagesSnapshot) => !messagesSnapshot.metadata.fromCache
+        );
+
+        const earlierDocs = await fetchEarlierMessages("alice_bob", firstPage.docs[firstPage.docs.length - 1]);
+        expect(earlierDocs.map((messageDoc) => messageDoc.id)).toEqual(["m005", "m004", "m003", "m002", "m001"]);
+    });
+});
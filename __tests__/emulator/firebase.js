@@ -0,0 +1,8 @@
+// Stands in for the app's @/firebase in emulator tests. db is whichever emulator-backed Firestore the
+// test is acting as; the modules under test read it when they're called, so tests can switch it.
+export let db = null;
+export const auth = null;
+
+export const setTestFirestore = (firestore) => {
+    db = firestore;
+};
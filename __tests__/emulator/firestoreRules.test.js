@@ -0,0 +1,366 @@
+import { assertFails, assertSucceeds, initializeTestEnvironment } from "@firebase/rules-unit-testing";
+import { afterAll, beforeAll, beforeEach, describe, test } from "@jest/globals";
+import {
+    arrayRemove,
+    arrayUnion,
+    collectionGroup,
+    deleteDoc,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    serverTimestamp,
+    setDoc,
+    Timestamp,
+    updateDoc,
+    where,
+    writeBatch,
+} from "firebase/firestore";
+import { readFileSync } from "fs";
+import { resolve } from "path";
+import { transitionBooking } from "../../bookingLifecycle";
+import { setTestFirestore } from "./firebase";
+
+// firestore.rules, against the Firestore emulator (npm run test:emulator)
+
+const ALICE = "alice";
+const BOB = "bob";
+const CAROL = "carol";
+
+let testEnv;
+
+const seed = (path, data) => testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), path), data));
+
+const firestoreAs = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+const message = (senderId, extra = {}) => ({ text: "Hi", senderId, createdAt: serverTimestamp(), ...extra });
+
+beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: "demo-car-rental",
+        firestore: { rules: readFileSync(resolve(__dirname, "../../firestore.rules"), "utf8") },
+    });
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed("chats/alice_bob", { participants: [ALICE, BOB] });
+});
+
+afterAll(async () => {
+    await testEnv.cleanup();
+});
+
+describe("chat messages", () => {
+    test("a participant can post as themselves", async () => {
+        await assertSucceeds(setDoc(doc(firestoreAs(ALICE), "chats/alice_bob/messages/m1"), message(ALICE)));
+    });
+
+    test("nobody can post as someone else", async () => {
+        await assertFails(setDoc(doc(firestoreAs(ALICE), "chats/alice_bob/messages/m1"), message(BOB)));
+    });
+
+    test("only participants can post", async () => {
+        await assertFails(setDoc(doc(firestoreAs(CAROL), "chats/alice_bob/messages/m1"), message(CAROL)));
+    });
+
+    test("the first message can create the chat in the same write", async () => {
+        const db = firestoreAs(ALICE);
+        const batch = writeBatch(db);
+        batch.set(doc(db, "chats/alice_carol"), { participants: [ALICE, CAROL] });
+        batch.set(doc(db, "chats/alice_carol/messages/m1"), message(ALICE));
+        await assertSucceeds(batch.commit());
+    });
+
+    test("neither side can post once one has blocked the other", async () => {
+        await seed(`users/${BOB}/blockedUsers/${ALICE}`, { uid: ALICE });
+        await assertFails(setDoc(doc(firestoreAs(ALICE), "chats/alice_bob/messages/m1"), message(ALICE)));
+        await assertFails(setDoc(doc(firestoreAs(BOB), "chats/alice_bob/messages/m2"), message(BOB)));
+    });
+
+    test("call events posted under the caller's name are refused while blocked", async () => {
+        await seed("chats/alice_bob/calls/c1", { callerId: ALICE, calleeIds: [BOB], status: "ringing" });
+        await seed(`users/${ALICE}/blockedUsers/${BOB}`, { uid: BOB });
+        await assertFails(setDoc(doc(firestoreAs(BOB), "chats/alice_bob/messages/call_c1"), message(ALICE, { system: true, callId: "c1" })));
+    });
+
+    test("blocking doesn't apply to group chats", async () => {
+        await seed("chats/group1", { isGroup: true, participants: [ALICE, BOB, CAROL] });
+        await seed(`users/${BOB}/blockedUsers/${ALICE}`, { uid: ALICE });
+        await assertSucceeds(setDoc(doc(firestoreAs(ALICE), "chats/group1/messages/m1"), message(ALICE)));
+    });
+
+    test("either side of a call posts its event under the caller's name", async () => {
+        await seed("chats/alice_bob/calls/c1", { callerId: ALICE, calleeIds: [BOB], status: "ringing" });
+        await assertSucceeds(setDoc(doc(firestoreAs(BOB), "chats/alice_bob/messages/call_c1"), message(ALICE, { system: true, callId: "c1" })));
+    });
+
+    test("call events must match a call in the chat", async () => {
+        await seed("chats/alice_bob/calls/c1", { callerId: ALICE, calleeIds: [BOB], status: "ringing" });
+        const db = firestoreAs(BOB);
+        // Not under the caller's name
+        await assertFails(setDoc(doc(db, "chats/alice_bob/messages/call_c1"), message(BOB, { system: true, callId: "c1" })));
+        // Named after another call
+        await assertFails(setDoc(doc(db, "chats/alice_bob/messages/call_c2"), message(ALICE, { system: true, callId: "c1" })));
+        // No such call
+        await assertFails(setDoc(doc(db, "chats/alice_bob/messages/call_c3"), message(ALICE, { system: true, callId: "c3" })));
+    });
+
+    test("members outside the call can't post its event", async () => {
+        await seed("chats/group1", { isGroup: true, createdBy: CAROL, participants: [ALICE, BOB, CAROL] });
+        await seed("chats/group1/calls/c1", { callerId: ALICE, calleeIds: [BOB], status: "ringing" });
+        await assertFails(setDoc(doc(firestoreAs(CAROL), "chats/group1/messages/call_c1"), message(ALICE, { system: true, callId: "c1" })));
+    });
+
+    test("other system messages, e.g. forged booking updates, are refused", async () => {
+        await assertFails(setDoc(doc(firestoreAs(ALICE), "chats/alice_bob/messages/m1"), {
+            text: "Booking for the car was cancelled: Change of plans (refund $100.00)",
+            system: true,
+            systemType: "bookingStatus",
+            bookingId: "b1",
+            senderId: null,
+            createdAt: serverTimestamp(),
+        }));
+        await assertFails(setDoc(doc(firestoreAs(ALICE), "chats/alice_bob/messages/m2"), message(BOB, { system: true })));
+    });
+
+    test("a blocked sender can't turn the chat into a group in the same batch", async () => {
+        await seed(`users/${BOB}/blockedUsers/${ALICE}`, { uid: ALICE });
+        const db = firestoreAs(ALICE);
+        const batch = writeBatch(db);
+        batch.update(doc(db, "chats/alice_bob"), { isGroup: true });
+        batch.set(doc(db, "chats/alice_bob/messages/m1"), message(ALICE));
+        await assertFails(batch.commit());
+    });
+
+    test("a blocked sender can't rewrite the participants in the same batch", async () => {
+        await seed(`users/${BOB}/blockedUsers/${ALICE}`, { uid: ALICE });
+        const db = firestoreAs(ALICE);
+        const batch = writeBatch(db);
+        batch.update(doc(db, "chats/alice_bob"), { participants: [ALICE, CAROL] });
+        batch.set(doc(db, "chats/alice_bob/messages/m1"), message(ALICE));
+        await assertFails(batch.commit());
+    });
+
+    test("participants can update messages, e.g. read receipts", async () => {
+        await seed("chats/alice_bob/messages/m1", message(ALICE));
+        await assertSucceeds(updateDoc(doc(firestoreAs(BOB), "chats/alice_bob/messages/m1"), { readBy: [ALICE, BOB] }));
+        await assertFails(updateDoc(doc(firestoreAs(CAROL), "chats/alice_bob/messages/m1"), { readBy: [CAROL] }));
+    });
+
+    test("others add receipts and reactions only", async () => {
+        await seed("chats/alice_bob/messages/m1", message(ALICE));
+        const db = firestoreAs(BOB);
+        await assertSucceeds(updateDoc(doc(db, "chats/alice_bob/messages/m1"), { deliveredTo: arrayUnion(BOB), "reactions.bob": "👍" }));
+        await assertFails(updateDoc(doc(db, "chats/alice_bob/messages/m1"), { text: "Something else", editedAt: serverTimestamp() }));
+        await assertFails(updateDoc(doc(db, "chats/alice_bob/messages/m1"), { deleted: true, text: "" }));
+        await assertFails(updateDoc(doc(db, "chats/alice_bob/messages/m1"), { "location.latitude": 1 }));
+    });
+
+    test("the sender edits and deletes their own message but can't re-date it", async () => {
+        await seed("chats/alice_bob/messages/m1", message(ALICE));
+        const db = firestoreAs(ALICE);
+        await assertSucceeds(updateDoc(doc(db, "chats/alice_bob/messages/m1"), { text: "Hello", editedAt: serverTimestamp() }));
+        await assertSucceeds(updateDoc(doc(db, "chats/alice_bob/messages/m1"), { deleted: true, deletedAt: serverTimestamp(), text: "" }));
+        await assertFails(updateDoc(doc(db, "chats/alice_bob/messages/m1"), { senderId: BOB }));
+    });
+});
+
+describe("chats", () => {
+    beforeEach(async () => {
+        await seed("chats/group1", { isGroup: true, createdBy: CAROL, participants: [ALICE, BOB, CAROL] });
+    });
+
+    test("members update the chat, e.g. the last message", async () => {
+        await assertSucceeds(updateDoc(doc(firestoreAs(ALICE), "chats/alice_bob"), { lastMessageText: "Hi" }));
+        await assertFails(updateDoc(doc(firestoreAs(CAROL), "chats/alice_bob"), { lastMessageText: "Hi" }));
+    });
+
+    test("a one-to-one chat keeps its participants and stays one-to-one", async () => {
+        await assertFails(updateDoc(doc(firestoreAs(ALICE), "chats/alice_bob"), { participants: arrayUnion(CAROL) }));
+        await assertFails(updateDoc(doc(firestoreAs(ALICE), "chats/alice_bob"), { isGroup: true }));
+    });
+
+    test("only the creator adds or removes group members", async () => {
+        await assertFails(updateDoc(doc(firestoreAs(ALICE), "chats/group1"), { participants: arrayRemove(BOB) }));
+        await assertSucceeds(updateDoc(doc(firestoreAs(CAROL), "chats/group1"), { participants: arrayRemove(BOB) }));
+    });
+
+    test("a member can leave a group", async () => {
+        await assertSucceeds(updateDoc(doc(firestoreAs(BOB), "chats/group1"), { participants: arrayRemove(BOB) }));
+    });
+
+    test("a removed member can't add themselves back", async () => {
+        await seed("chats/group2", { isGroup: true, createdBy: CAROL, participants: [ALICE, CAROL] });
+        await assertFails(updateDoc(doc(firestoreAs(BOB), "chats/group2"), { participants: arrayUnion(BOB) }));
+    });
+
+    test("groups are created by their creator, one-to-one chats for two people only", async () => {
+        await assertSucceeds(setDoc(doc(firestoreAs(ALICE), "chats/group3"), { isGroup: true, createdBy: ALICE, participants: [ALICE, BOB] }));
+        await assertFails(setDoc(doc(firestoreAs(ALICE), "chats/group4"), { isGroup: true, createdBy: BOB, participants: [ALICE, BOB] }));
+        await assertFails(setDoc(doc(firestoreAs(ALICE), "chats/alice_bob_carol"), { participants: [ALICE, BOB, CAROL] }));
+    });
+
+    test("only members write the chat's calls", async () => {
+        await assertSucceeds(setDoc(doc(firestoreAs(ALICE), "chats/alice_bob/calls/c1"), { callerId: ALICE, calleeIds: [BOB] }));
+        await assertFails(setDoc(doc(firestoreAs(CAROL), "chats/alice_bob/calls/c2"), { callerId: CAROL, calleeIds: [BOB] }));
+    });
+});
+
+describe("bookings", () => {
+    const booking = (extra = {}) => ({
+        userId: ALICE,
+        ownerId: BOB,
+        status: "pending",
+        price: 100,
+        startDate: "2024-06-03T10:00:00Z",
+        cancellationPolicy: { freeCancellationHours: 48, partialRefundPercent: 50 },
+        ...extra,
+    });
+    const bookingAs = (uid, id = "b1") => doc(firestoreAs(uid), `bookings/${id}`);
+    // A status change the way transitionBooking writes it
+    const move = (uid, id, from, to, changedBy = uid) => updateDoc(bookingAs(uid, id), {
+        status: to,
+        statusHistory: arrayUnion({ from, to, changedBy, changedAt: Timestamp.now(), note: null }),
+    });
+
+    beforeEach(async () => {
+        await seed("bookings/b1", booking({ status: "accepted" }));
+    });
+
+    test("are requested by the renter, as pending", async () => {
+        await assertSucceeds(setDoc(bookingAs(ALICE, "b2"), booking()));
+        await assertFails(setDoc(bookingAs(ALICE, "b3"), booking({ userId: CAROL })));
+        await assertFails(setDoc(bookingAs(ALICE, "b4"), booking({ status: "accepted" })));
+        await assertFails(setDoc(bookingAs(ALICE, "b5"), booking({ cancellation: { refundAmount: 100 } })));
+    });
+
+    test("only the renter and the owner update a booking", async () => {
+        await assertSucceeds(updateDoc(bookingAs(ALICE), { hasReviewed: true }));
+        await assertFails(updateDoc(bookingAs(CAROL), { hasReviewed: true }));
+        await assertFails(updateDoc(bookingAs(CAROL), { status: "active" }));
+    });
+
+    test("the refund terms and the people involved can't change", async () => {
+        await assertFails(updateDoc(bookingAs(ALICE), { price: 1 }));
+        await assertFails(updateDoc(bookingAs(ALICE), { startDate: "2030-01-01" }));
+        await assertFails(updateDoc(bookingAs(ALICE), { cancellationPolicy: { freeCancellationHours: -5 } }));
+        await assertFails(updateDoc(bookingAs(ALICE), { "cancellationPolicy.partialRefundPercent": 100 }));
+        await assertFails(updateDoc(bookingAs(ALICE), { userId: CAROL }));
+        await assertFails(updateDoc(bookingAs(BOB), { ownerId: CAROL }));
+    });
+
+    test("clients can't cancel a booking or write a refund", async () => {
+        await assertFails(updateDoc(bookingAs(ALICE), { status: "cancelled" }));
+        await assertFails(updateDoc(bookingAs(ALICE), { status: "Canceled" }));
+        await assertFails(updateDoc(bookingAs(BOB), { status: "cancelled" }));
+        await assertFails(updateDoc(bookingAs(ALICE), { cancellation: { refundAmount: 100 } }));
+    });
+
+    test("a cancelled booking stays cancelled", async () => {
+        await seed("bookings/b2", booking({ status: "cancelled" }));
+        await assertFails(updateDoc(bookingAs(ALICE, "b2"), { status: "pending" }));
+        await assertFails(updateDoc(bookingAs(BOB, "b2"), { status: "pending" }));
+        await assertFails(updateDoc(bookingAs(BOB, "b2"), { status: "accepted" }));
+        await assertSucceeds(updateDoc(bookingAs(ALICE, "b2"), { hasReviewed: true }));
+    });
+
+    test("status changes follow the lifecycle", async () => {
+        await assertFails(updateDoc(bookingAs(BOB), { status: "completed" }));
+        await assertFails(updateDoc(bookingAs(BOB), { status: "pending" }));
+        await assertFails(updateDoc(bookingAs(BOB), { status: "whatever" }));
+        await assertSucceeds(move(BOB, "b1", "accepted", "active"));
+    });
+
+    test("older spellings count as their canonical status", async () => {
+        await seed("bookings/b2", booking({ status: "Approved" }));
+        await assertSucceeds(move(BOB, "b2", "accepted", "active"));
+        await seed("bookings/b3", booking({ status: null }));
+        await assertSucceeds(move(BOB, "b3", "pending", "accepted"));
+    });
+
+    test("only the owner accepts, declines, starts or completes a booking", async () => {
+        await seed("bookings/b2", booking());
+        await assertFails(updateDoc(bookingAs(ALICE, "b2"), { status: "accepted" }));
+        await assertFails(updateDoc(bookingAs(ALICE, "b2"), { status: "declined" }));
+        await assertFails(updateDoc(bookingAs(ALICE), { status: "active" }));
+        await seed("bookings/b3", booking({ status: "active" }));
+        await assertFails(move(ALICE, "b3", "active", "completed"));
+        await assertSucceeds(move(BOB, "b3", "active", "completed"));
+    });
+
+    test("each step is recorded in statusHistory as the owner's", async () => {
+        // No history entry, or one for another step or person
+        await assertFails(updateDoc(bookingAs(BOB), { status: "active" }));
+        await assertFails(move(BOB, "b1", "accepted", "completed"));
+        await assertFails(move(BOB, "b1", "accepted", "active", ALICE));
+        // Nor can the history be rewritten on its own
+        await assertFails(updateDoc(bookingAs(ALICE), { statusHistory: [] }));
+    });
+
+    test("transitionBooking passes the rules for the owner only", async () => {
+        setTestFirestore(firestoreAs(BOB));
+        await assertSucceeds(transitionBooking("b1", "active", { uid: BOB }));
+        await seed("bookings/b2", booking());
+        setTestFirestore(firestoreAs(ALICE));
+        await assertFails(transitionBooking("b2", "accepted", { uid: ALICE }));
+    });
+});
+
+describe("users", () => {
+    test("only the user writes their profile and what's under it", async () => {
+        await assertSucceeds(setDoc(doc(firestoreAs(ALICE), `users/${ALICE}`), { callsSupported: true }, { merge: true }));
+        await assertFails(setDoc(doc(firestoreAs(BOB), `users/${ALICE}`), { callsSupported: false }, { merge: true }));
+        await assertSucceeds(setDoc(doc(firestoreAs(ALICE), `users/${ALICE}/savedReplies/r1`), { title: "Hi", text: "Hello" }));
+        await assertFails(setDoc(doc(firestoreAs(BOB), `users/${ALICE}/savedReplies/r1`), { title: "Hi", text: "Hello" }));
+    });
+
+    test("nobody else can overwrite or read a user's push tokens", async () => {
+        await seed(`users/${ALICE}/pushTokens/t1`, { token: "t1", activeChatId: null });
+        await assertFails(setDoc(doc(firestoreAs(BOB), `users/${ALICE}/pushTokens/t2`), { token: "t2" }));
+        await assertFails(getDoc(doc(firestoreAs(BOB), `users/${ALICE}/pushTokens/t1`)));
+        await assertSucceeds(getDoc(doc(firestoreAs(ALICE), `users/${ALICE}/pushTokens/t1`)));
+    });
+
+    test("a blocked user can see the block but can't lift it", async () => {
+        await seed(`users/${BOB}/blockedUsers/${ALICE}`, { uid: ALICE });
+        await assertSucceeds(getDoc(doc(firestoreAs(ALICE), `users/${BOB}/blockedUsers/${ALICE}`)));
+        await assertFails(deleteDoc(doc(firestoreAs(ALICE), `users/${BOB}/blockedUsers/${ALICE}`)));
+        await assertFails(getDoc(doc(firestoreAs(CAROL), `users/${BOB}/blockedUsers/${ALICE}`)));
+        await assertSucceeds(deleteDoc(doc(firestoreAs(BOB), `users/${BOB}/blockedUsers/${ALICE}`)));
+    });
+
+    test("chat preferences are written by their owner only", async () => {
+        await assertSucceeds(setDoc(doc(firestoreAs(ALICE), `chats/alice_bob/preferences/${ALICE}`), { uid: ALICE, pinned: true }));
+        await assertFails(setDoc(doc(firestoreAs(BOB), `chats/alice_bob/preferences/${ALICE}`), { uid: ALICE, pinned: false }));
+    });
+
+    test("the collection group query finds the user's own preferences", async () => {
+        await seed(`chats/alice_bob/preferences/${ALICE}`, { uid: ALICE, pinned: true });
+        await assertSucceeds(getDocs(query(collectionGroup(firestoreAs(ALICE), "preferences"), where("uid", "==", ALICE))));
+        await assertFails(getDocs(query(collectionGroup(firestoreAs(BOB), "preferences"), where("uid", "==", ALICE))));
+    });
+});
+
+describe("reports", () => {
+    test("can be filed by the reporter only", async () => {
+        await assertSucceeds(setDoc(doc(firestoreAs(ALICE), "reports/r1"), { reporterId: ALICE, reportedUserId: BOB, reason: "Spam" }));
+        await assertFails(setDoc(doc(firestoreAs(ALICE), "reports/r2"), { reporterId: BOB, reportedUserId: CAROL, reason: "Spam" }));
+        await assertFails(setDoc(doc(testEnv.unauthenticatedContext().firestore(), "reports/r3"), { reason: "Spam" }));
+    });
+
+    test("can't be read, changed or withdrawn from the app", async () => {
+        await seed("reports/r1", { reporterId: ALICE, reportedUserId: BOB, reason: "Spam" });
+        await assertFails(getDoc(doc(firestoreAs(BOB), "reports/r1")));
+        await assertFails(getDoc(doc(firestoreAs(ALICE), "reports/r1")));
+        await assertFails(updateDoc(doc(firestoreAs(ALICE), "reports/r1"), { reason: "Other" }));
+        await assertFails(deleteDoc(doc(firestoreAs(ALICE), "reports/r1")));
+    });
+});
+
+describe("everything else", () => {
+    test("is open to signed-in users only", async () => {
+        await assertSucceeds(setDoc(doc(firestoreAs(ALICE), "reviews/r1"), { userId: ALICE, rating: 5 }));
+        await assertFails(setDoc(doc(testEnv.unauthenticatedContext().firestore(), "reviews/r2"), { userId: ALICE, rating: 5 }));
+    });
+});
@@ -0,0 +1,198 @@
+import { auth } from "@/firebase"; // Your Firebase config
+import { MaterialIcons } from "@expo/vector-icons";
+import { useRouter } from "expo-router";
+import React, { useEffect, useState } from "react";
+import {
+    ActivityIndicator,
+    Alert,
+    FlatList,
+    Image,
+    Platform,
+    SafeAreaView,
+    StatusBar,
+    StyleSheet,
+    Text,
+    TouchableOpacity,
+    View,
+} from "react-native";
+import { subscribeToBlockedUsers, unblockUser } from "./moderationService";
+
+// Lists the users you've blocked and lets you unblock them
+const BlockedUsersScreen = () => {
+    const router = useRouter();
+    const currentUserUid = auth.currentUser?.uid;
+
+    const [loading, setLoading] = useState(true);
+    const [blockedUsers, setBlockedUsers] = useState([]);
+
+    useEffect(() => {
+        if (!currentUserUid) {
+            setLoading(false);
+            return;
+        }
+        return subscribeToBlockedUsers(currentUserUid, (users) => {
+            setBlockedUsers(users);
+            setLoading(false);
+        });
+    }, [currentUserUid]);
+
+    const handleUnblock = (user) => {
+        unblockUser(currentUserUid, user.uid).catch((error) => {
+            console.error("Error unblocking user:", error);
+            Alert.alert("Error", "Could not unblock the user: " + error.message);
+        });
+    };
+
+    const renderBlockedItem = ({ item }) => (
+        <View style={styles.userItem}>
+            <Image
+                source={{ uri: item.image || 'https://via.placeholder.com/150/CCCCCC/FFFFFF?text=User' }}
+                style={styles.userItemImage}
+            />
+            <View style={styles.userItemInfo}>
+                <Text style={styles.userItemName}>{item.name || "Unknown User"}</Text>
+                {item.blockedAt && (
+                    <Text style={styles.blockedDate}>
+                        Blocked {item.blockedAt.toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' })}
+                    </Text>
+                )}
+            </View>
+            <TouchableOpacity style={styles.unblockButton} onPress={() => handleUnblock(item)}>
+                <Text style={styles.unblockButtonText}>Unblock</Text>
+            </TouchableOpacity>
+        </View>
+    );
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <StatusBar barStyle="dark-content" backgroundColor="#F5F5F5" />
+
+            <View style={styles.header}>
+                <TouchableOpacity style={styles.headerIcon} onPress={() => router.back()}>
+                    <MaterialIcons name="arrow-back" size={26} color="#333" />
+                </TouchableOpacity>
+                <Text style={styles.headerTitle}>Blocked Users</Text>
+                <View style={styles.headerIconPlaceholder} />
+            </View>
+
+            {loading ? (
+                <View style={styles.loadingContainer}>
+                    <ActivityIndicator size="large" color="#4285F4" />
+                </View>
+            ) : (
+                <FlatList
+                    data={blockedUsers}
+                    renderItem={renderBlockedItem}
+                    keyExtractor={(item) => item.uid}
+                    ListEmptyComponent={() => (
+                        <View style={styles.emptyListContainer}>
+                            <Text style={styles.emptyListText}>You haven't blocked anyone.</Text>
+                        </View>
+                    )}
+                />
+            )}
+        </SafeAreaView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: "#F5F5F5",
+    },
+    loadingContainer: {
+        flex: 1,
+        justifyContent: "center",
+        alignItems: "center",
+        backgroundColor: "#F5F5F5",
+    },
+    header: {
+        flexDirection: "row",
+        alignItems: "center",
+        justifyContent: "space-between",
+        paddingHorizontal: 15,
+        paddingVertical: 12,
+        backgroundColor: "white",
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: "#E0E0E0",
+        ...Platform.select({
+            ios: {
+                shadowColor: '#000',
+                shadowOffset: { width: 0, height: 1 },
+                shadowOpacity: 0.1,
+                shadowRadius: 2,
+            },
+            android: {
+                elevation: 3,
+            },
+        }),
+    },
+    headerIcon: {
+        padding: 5,
+    },
+    headerIconPlaceholder: {
+        width: 36, // Match the size of the MaterialIcons for alignment
+        height: 36,
+    },
+    headerTitle: {
+        fontSize: 20,
+        fontWeight: "bold",
+        color: "#333",
+        flex: 1,
+        textAlign: "center",
+    },
+    userItem: {
+        flexDirection: "row",
+        alignItems: "center",
+        paddingVertical: 15,
+        paddingHorizontal: 15,
+        backgroundColor: "white",
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: "#EEE",
+    },
+    userItemImage: {
+        width: 50,
+        height: 50,
+        borderRadius: 25,
+        backgroundColor: '#C4C4C4',
+        marginRight: 15,
+    },
+    userItemInfo: {
+        flex: 1,
+    },
+    userItemName: {
+        fontSize: 17,
+        fontWeight: "600",
+        color: "#333",
+    },
+    blockedDate: {
+        fontSize: 13,
+        color: "#888",
+        marginTop: 2,
+    },
+    unblockButton: {
+        borderWidth: 1,
+        borderColor: "#4285F4",
+        borderRadius: 8,
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+    },
+    unblockButtonText: {
+        color: "#4285F4",
+        fontWeight: "bold",
+    },
+    emptyListContainer: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 20,
+        marginTop: 50,
+    },
+    emptyListText: {
+        fontSize: 16,
+        color: '#888',
+        textAlign: 'center',
+    },
+});
+
+export default BlockedUsersScreen;
@@ -0,0 +1,94 @@
+import { db } from "@/firebase";
+import { arrayUnion, doc, runTransaction, serverTimestamp, Timestamp } from "firebase/firestore";
+import { getFunctions, httpsCallable } from "firebase/functions";
+import {
+    BOOKING_STATUSES,
+    BOOKING_STATUS_ORDER,
+    BOOKING_TRANSITIONS,
+    canTransition,
+    getStoredStatusValues,
+    isFinalStatus,
+    normalizeBookingStatus,
+} from "./functions/shared/bookingStatus";
+
+// The booking lifecycle shared by every screen. The statuses, the allowed transitions and the legacy
+// spellings live in functions/shared/bookingStatus.js, which the Cloud Functions use too; this module
+// adds labels and colors for the app and the write itself. Every transition made through
+// transitionBooking is recorded in statusHistory: [{ from, to, changedBy, changedAt, note }]. The
+// functions add a history entry for status writes made elsewhere.
+
+export {
+    BOOKING_STATUSES,
+    BOOKING_STATUS_ORDER,
+    BOOKING_TRANSITIONS,
+    canTransition,
+    getStoredStatusValues,
+    isFinalStatus,
+    normalizeBookingStatus,
+};
+
+const { PENDING, ACCEPTED, ACTIVE, COMPLETED, CANCELLED, DECLINED } = BOOKING_STATUSES;
+
+const STATUS_LABELS = {
+    [PENDING]: "Pending",
+    [ACCEPTED]: "Accepted",
+    [ACTIVE]: "Active",
+    [COMPLETED]: "Completed",
+    [CANCELLED]: "Cancelled",
+    [DECLINED]: "Declined",
+};
+
+const STATUS_COLORS = {
+    [PENDING]: "#FFC107",
+    [ACCEPTED]: "#4CAF50",
+    [ACTIVE]: "#009688",
+    [COMPLETED]: "#2196F3",
+    [CANCELLED]: "#F44336",
+    [DECLINED]: "#795548",
+};
+const UNKNOWN_STATUS_COLOR = "#9E9E9E";
+
+// Unknown values are shown as they are stored rather than hidden
+export const getBookingStatusLabel = (value) => STATUS_LABELS[normalizeBookingStatus(value)] || String(value);
+
+export const getBookingStatusColor = (value) => STATUS_COLORS[normalizeBookingStatus(value)] || UNKNOWN_STATUS_COLOR;
+
+// Moves a booking to status `to` if the lifecycle allows it from its current status, and records the
+// step in statusHistory. extraFields are written in the same update; pass a function to derive them from
+// the booking as read in the transaction. Rejects with an Error whose message can be shown to the user.
+export const transitionBooking = (bookingId, to, { uid, note = null, extraFields = {} } = {}) => {
+    const bookingRef = doc(db, "bookings", bookingId);
+
+    return runTransaction(db, async (transaction) => {
+        const bookingSnap = await transaction.get(bookingRef);
+        if (!bookingSnap.exists()) throw new Error("This booking no longer exists.");
+
+        const storedStatus = bookingSnap.data().status;
+        const from = normalizeBookingStatus(storedStatus) || storedStatus; // Unknown values are kept for the record
+        if (!canTransition(storedStatus, to)) {
+            throw new Error(`A ${getBookingStatusLabel(storedStatus).toLowerCase()} booking can't be changed to ${getBookingStatusLabel(to).toLowerCase()}.`);
+        }
+
+        transaction.update(bookingRef, {
+            ...(typeof extraFields === "function" ? extraFields(bookingSnap.data()) : extraFields),
+            status: to,
+            statusUpdatedAt: serverTimestamp(),
+            // serverTimestamp() isn't allowed inside arrays
+            statusHistory: arrayUnion({ from, to, changedBy: uid || null, changedAt: Timestamp.now(), note }),
+        });
+        return { from, to };
+    });
+};
+
+// Cancels a pending or accepted booking for the renter. This goes through the cancelBooking function
+// (functions/index.js) rather than transitionBooking: the refund is worked out there from the booking as
+// stored and the server's clock, and saved on it as
+//   cancellation: { reason, details, cancelledBy, cancelledAt, refundAmount, refundPercent, fee, policy }
+// Resolves with the refund that was recorded: { refundAmount, refundPercent, fee }. Rejects with code
+// "functions/failed-precondition" and the server's refund in error.details when it differs from
+// confirmedRefundAmount, the amount the renter was shown.
+export const cancelBooking = async (bookingId, { reason, details = "", confirmedRefundAmount }) => {
+    const cancel = httpsCallable(getFunctions(), "cancelBooking");
+    const result = await cancel({ bookingId, reason, details, confirmedRefundAmount });
+    return result.data;
+};
@@ -0,0 +1,270 @@
+import { auth } from "@/firebase";
+import { Ionicons } from "@expo/vector-icons";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import {
+    ActivityIndicator,
+    Alert,
+    Image,
+    SafeAreaView,
+    StatusBar,
+    StyleSheet,
+    Text,
+    TouchableOpacity,
+    Vibration,
+    View,
+} from "react-native";
+import { endCall, formatCallDuration, openCallSession, RING_TIMEOUT_MS, RTCView, subscribeToCall } from "./callService";
+
+// Ringing / in-call screen for both sides. Opened with { chatId, callId }; whether we're the caller
+// or the callee comes from the call document.
+const CallScreen = () => {
+    const router = useRouter();
+    const { chatId, callId, otherName, otherImage } = useLocalSearchParams();
+    const uid = auth.currentUser?.uid;
+
+    const [call, setCall] = useState(null);
+    const [connecting, setConnecting] = useState(false);
+    const [localStream, setLocalStream] = useState(null);
+    const [remoteStream, setRemoteStream] = useState(null);
+    const [muted, setMuted] = useState(false);
+    const [cameraEnabled, setCameraEnabled] = useState(true);
+    const [now, setNow] = useState(Date.now()); // Drives the call timer
+    const sessionRef = useRef(null);
+    const finishedRef = useRef(false);
+
+    const isCaller = call?.callerId === uid;
+    const isVideo = call?.type === "video";
+
+    const closeSession = useCallback(() => {
+        sessionRef.current?.close();
+        sessionRef.current = null;
+    }, []);
+
+    const openSession = useCallback(async (role, type) => {
+        setConnecting(true);
+        try {
+            const session = await openCallSession({ chatId, callId, role, type, onRemoteStream: setRemoteStream });
+            if (finishedRef.current) {
+                session.close(); // The call was hung up while we were still connecting
+                return;
+            }
+            sessionRef.current = session;
+            setLocalStream(session.localStream);
+        } catch (error) {
+            if (finishedRef.current) return; // Hung up on the other side while we were connecting
+            console.error("Error connecting call:", error);
+            Alert.alert("Call failed", "Could not connect the call: " + error.message);
+            endCall(chatId, callId, uid).catch(() => {});
+        } finally {
+            setConnecting(false);
+        }
+    }, [chatId, callId, uid]);
+
+    const hangUp = useCallback(() => {
+        endCall(chatId, callId, uid)
+            .catch((error) => console.error("Error ending call:", error));
+    }, [chatId, callId, uid]);
+
+    useEffect(() => {
+        if (!chatId || !callId) return;
+        return subscribeToCall(chatId, callId, setCall);
+    }, [chatId, callId]);
+
+    // The caller sends the offer as soon as the call document is there
+    const callerId = call?.callerId;
+    const callType = call?.type;
+    useEffect(() => {
+        if (callerId !== uid || sessionRef.current || finishedRef.current) return;
+        openSession("caller", callType);
+    }, [callerId, callType, uid, openSession]);
+
+    // Leave the screen once the call is over, from either side
+    const status = call?.status;
+    useEffect(() => {
+        if (!["ended", "missed", "declined"].includes(status)) return;
+        finishedRef.current = true;
+        closeSession();
+        router.back();
+    }, [status, closeSession, router]);
+
+    // Nobody answered: the caller's side gives up and records a missed call
+    useEffect(() => {
+        if (status !== "ringing" || !isCaller) return;
+        const timeout = setTimeout(hangUp, RING_TIMEOUT_MS);
+        return () => clearTimeout(timeout);
+    }, [status, isCaller, hangUp]);
+
+    // Vibrate while an incoming call is ringing
+    useEffect(() => {
+        if (status !== "ringing" || isCaller || !call) return;
+        Vibration.vibrate([0, 1000, 1000], true);
+        return () => Vibration.cancel();
+    }, [status, isCaller, call]);
+
+    useEffect(() => {
+        if (status !== "active") return;
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [status]);
+
+    // Leaving the screen any other way (e.g. the back gesture) hangs up too
+    useEffect(() => () => {
+        if (finishedRef.current) return;
+        finishedRef.current = true;
+        closeSession();
+        endCall(chatId, callId, uid).catch(() => {});
+    }, [chatId, callId, uid, closeSession]);
+
+    const toggleMuted = () => {
+        sessionRef.current?.setMuted(!muted);
+        setMuted(!muted);
+    };
+
+    const toggleCamera = () => {
+        sessionRef.current?.setCameraEnabled(!cameraEnabled);
+        setCameraEnabled(!cameraEnabled);
+    };
+
+    if (!call) {
+        return (
+            <View style={styles.loadingContainer}>
+                <ActivityIndicator size="large" color="white" />
+            </View>
+        );
+    }
+
+    const name = isCaller ? otherName || "Calling…" : call.callerName;
+    const image = isCaller ? otherImage : call.callerImage;
+    let statusText;
+    if (status === "active") {
+        statusText = call.answeredAt ? formatCallDuration(now - call.answeredAt.toMillis()) : "Connecting…";
+    } else if (status === "ringing") {
+        statusText = isCaller ? "Ringing…" : `Incoming ${isVideo ? "video" : "voice"} call`;
+    } else {
+        statusText = "Call ended";
+    }
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <StatusBar barStyle="light-content" backgroundColor="#1C1C1E" />
+
+            {isVideo && RTCView && remoteStream && (
+                <RTCView streamURL={remoteStream.toURL()} style={StyleSheet.absoluteFill} objectFit="cover" />
+            )}
+            {isVideo && RTCView && localStream && cameraEnabled && (
+                <RTCView streamURL={localStream.toURL()} style={styles.localVideo} objectFit="cover" mirror zOrder={1} />
+            )}
+
+            <View style={styles.callerInfo}>
+                {!(isVideo && remoteStream) && (
+                    <Image
+                        source={{ uri: image || 'https://via.placeholder.com/150/CCCCCC/FFFFFF?text=User' }}
+                        style={styles.avatar}
+                    />
+                )}
+                <Text style={styles.name} numberOfLines={1}>{name}</Text>
+                <Text style={styles.statusText}>{connecting && status === "ringing" && isCaller ? "Connecting…" : statusText}</Text>
+            </View>
+
+            {status === "ringing" && !isCaller ? (
+                <View style={styles.controls}>
+                    <TouchableOpacity style={[styles.roundButton, styles.declineButton]} onPress={hangUp}>
+                        <Ionicons name="call" size={30} color="white" style={styles.hangUpIcon} />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        style={[styles.roundButton, styles.acceptButton]}
+                        onPress={() => openSession("callee", call.type)}
+                        disabled={connecting}
+                    >
+                        <Ionicons name={isVideo ? "videocam" : "call"} size={30} color="white" />
+                    </TouchableOpacity>
+                </View>
+            ) : (
+                <View style={styles.controls}>
+                    <TouchableOpacity style={styles.roundButton} onPress={toggleMuted}>
+                        <Ionicons name={muted ? "mic-off" : "mic"} size={28} color="white" />
+                    </TouchableOpacity>
+                    {isVideo && (
+                        <TouchableOpacity style={styles.roundButton} onPress={toggleCamera}>
+                            <Ionicons name={cameraEnabled ? "videocam" : "videocam-off"} size={28} color="white" />
+                        </TouchableOpacity>
+                    )}
+                    <TouchableOpacity style={[styles.roundButton, styles.declineButton]} onPress={hangUp}>
+                        <Ionicons name="call" size={30} color="white" style={styles.hangUpIcon} />
+                    </TouchableOpacity>
+                </View>
+            )}
+        </SafeAreaView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: "#1C1C1E",
+        justifyContent: "space-between",
+    },
+    loadingContainer: {
+        flex: 1,
+        justifyContent: "center",
+        alignItems: "center",
+        backgroundColor: "#1C1C1E",
+    },
+    localVideo: {
+        position: "absolute",
+        top: 60,
+        right: 20,
+        width: 110,
+        height: 160,
+        borderRadius: 10,
+        overflow: "hidden",
+    },
+    callerInfo: {
+        alignItems: "center",
+        marginTop: 80,
+        paddingHorizontal: 20,
+    },
+    avatar: {
+        width: 120,
+        height: 120,
+        borderRadius: 60,
+        backgroundColor: '#C4C4C4',
+        marginBottom: 20,
+    },
+    name: {
+        fontSize: 28,
+        fontWeight: "bold",
+        color: "white",
+    },
+    statusText: {
+        fontSize: 16,
+        color: "#D0D0D0",
+        marginTop: 8,
+    },
+    controls: {
+        flexDirection: "row",
+        justifyContent: "space-evenly",
+        alignItems: "center",
+        marginBottom: 60,
+    },
+    roundButton: {
+        width: 70,
+        height: 70,
+        borderRadius: 35,
+        backgroundColor: "rgba(255,255,255,0.2)",
+        justifyContent: "center",
+        alignItems: "center",
+    },
+    acceptButton: {
+        backgroundColor: "#4CAF50",
+    },
+    declineButton: {
+        backgroundColor: "#F44336",
+    },
+    hangUpIcon: {
+        transform: [{ rotate: "135deg" }],
+    },
+});
+
+export default CallScreen;
@@ -0,0 +1,267 @@
+import { db } from "@/firebase";
+import {
+    addDoc,
+    collection,
+    collectionGroup,
+    doc,
+    getDoc,
+    increment,
+    onSnapshot,
+    query,
+    runTransaction,
+    serverTimestamp,
+    setDoc,
+    updateDoc,
+    where,
+} from "firebase/firestore";
+
+// Voice and video calls between the two people in a chat. Each call is a document under the chat,
+// and the WebRTC offer/answer and ICE candidates are exchanged through it:
+//   chats/{chatId}/calls/{callId}                  -> { callerId, callerName, callerImage, calleeIds, type,
+//                                                       status, offer, answer, createdAt, answeredAt, endedAt }
+//   chats/{chatId}/calls/{callId}/callerCandidates -> ICE candidates from the caller
+//   chats/{chatId}/calls/{callId}/calleeCandidates -> ICE candidates from the callee
+// where type is "voice" | "video" and status is "ringing" | "active" | "ended" | "missed" | "declined".
+
+// react-native-webrtc only exists in development builds; in Expo Go requiring it throws,
+// so it's loaded here and the chat falls back to the phone dialer when it's missing.
+let webrtc = null;
+try {
+    webrtc = require("react-native-webrtc");
+} catch (error) {
+    webrtc = null;
+}
+
+export const CALLS_SUPPORTED = !!webrtc;
+export const RTCView = webrtc?.RTCView ?? null;
+export const RING_TIMEOUT_MS = 45 * 1000; // Unanswered calls become "missed" after this long
+
+const ICE_SERVERS = [{ urls: ["stun:stun.l.google.com:19302", "stun:stun1.l.google.com:19302"] }];
+const FINISHED_STATUSES = ["ended", "missed", "declined"];
+
+// 252 seconds -> "4:12"
+export const formatCallDuration = (ms) => {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    const hours = Math.floor(minutes / 60);
+    if (hours > 0) return `${hours}:${String(minutes % 60).padStart(2, "0")}:${String(seconds).padStart(2, "0")}`;
+    return `${minutes}:${String(seconds).padStart(2, "0")}`;
+};
+
+// Stored on the user's profile so the other side knows whether an in-app call can reach this device
+export const advertiseCallSupport = (uid) => setDoc(doc(db, "users", uid), { callsSupported: CALLS_SUPPORTED }, { merge: true });
+
+export const getCallSupport = async (uid) => {
+    const userSnap = await getDoc(doc(db, "users", uid));
+    return userSnap.exists() && userSnap.data().callsSupported === true;
+};
+
+// caller is { uid, name, image }. Returns the new call's id; the caller's screen then sends the offer.
+export const startCall = async ({ chatId, caller, calleeIds, type }) => {
+    const callRef = doc(collection(db, "chats", chatId, "calls"));
+    await setDoc(callRef, {
+        callerId: caller.uid,
+        callerName: caller.name,
+        callerImage: caller.image || null,
+        calleeIds,
+        type,
+        status: "ringing",
+        createdAt: serverTimestamp(),
+    });
+    return callRef.id;
+};
+
+// Calls back with the call's data, or null if it doesn't exist
+export const subscribeToCall = (chatId, callId, callback) => onSnapshot(doc(db, "chats", chatId, "calls", callId), (callSnap) => {
+    callback(callSnap.exists() ? { id: callSnap.id, ...callSnap.data() } : null);
+}, (error) => {
+    console.error("Error fetching call:", error);
+});
+
+// Several screens listen at once (the inbox stays mounted under a chat), so each call is only announced once
+const announcedCallIds = new Set();
+
+// A call whose caller's app was killed stays "ringing" (only the caller's side marks calls as missed),
+// so calls older than the ring timeout are left alone instead of ringing again on every app start
+const isStaleCall = (call, now = Date.now()) => !!call.createdAt && now - call.createdAt.toMillis() > RING_TIMEOUT_MS;
+
+// Calls back with { chatId, callId } for every call that starts ringing for this user
+export const subscribeToIncomingCalls = (uid, callback) => {
+    const q = query(
+        collectionGroup(db, "calls"),
+        where("calleeIds", "array-contains", uid),
+        where("status", "==", "ringing")
+    );
+    return onSnapshot(q, (snapshot) => {
+        snapshot.docs.forEach((callDoc) => {
+            if (announcedCallIds.has(callDoc.id) || isStaleCall(callDoc.data())) return;
+            announcedCallIds.add(callDoc.id);
+            callback({ chatId: callDoc.ref.parent.parent.id, callId: callDoc.id });
+        });
+    }, (error) => {
+        console.error("Error listening for incoming calls:", error);
+    });
+};
+
+// Resolves with the caller's offer once it's on the call document; the callee can pick up before it is.
+// Rejects if the call ends first.
+const waitForOffer = (callRef) => new Promise((resolve, reject) => {
+    const unsubscribe = onSnapshot(callRef, (callSnap) => {
+        const call = callSnap.data();
+        if (call?.offer) {
+            unsubscribe();
+            resolve(call.offer);
+        } else if (!call || FINISHED_STATUSES.includes(call.status)) {
+            unsubscribe();
+            reject(new Error("The call has already ended."));
+        }
+    }, (error) => {
+        unsubscribe();
+        reject(error);
+    });
+});
+
+// Sets up the media and peer connection for one side of the call. The caller writes the offer straight
+// away; the callee answers the caller's offer (waiting for it if need be), which also marks the call
+// active. Returns { localStream, setMuted, setCameraEnabled, close }.
+export const openCallSession = async ({ chatId, callId, role, type, onRemoteStream }) => {
+    const { mediaDevices, RTCIceCandidate, RTCPeerConnection, RTCSessionDescription } = webrtc;
+    const callRef = doc(db, "chats", chatId, "calls", callId);
+    const ownCandidates = collection(callRef, role === "caller" ? "callerCandidates" : "calleeCandidates");
+    const otherCandidates = collection(callRef, role === "caller" ? "calleeCandidates" : "callerCandidates");
+
+    const localStream = await mediaDevices.getUserMedia({ audio: true, video: type === "video" });
+    const peerConnection = new RTCPeerConnection({ iceServers: ICE_SERVERS });
+    localStream.getTracks().forEach((track) => peerConnection.addTrack(track, localStream));
+
+    peerConnection.addEventListener("icecandidate", (event) => {
+        if (!event.candidate) return;
+        addDoc(ownCandidates, event.candidate.toJSON())
+            .catch((error) => console.error("Error sending ICE candidate:", error));
+    });
+    peerConnection.addEventListener("track", (event) => {
+        if (event.streams?.[0]) onRemoteStream(event.streams[0]);
+    });
+
+    const unsubscribes = [];
+    // Candidates can arrive before the remote description is set; those wait here until it is
+    const queuedCandidates = [];
+    const addCandidate = (candidate) => {
+        peerConnection.addIceCandidate(new RTCIceCandidate(candidate))
+            .catch((error) => console.error("Error adding ICE candidate:", error));
+    };
+    unsubscribes.push(onSnapshot(otherCandidates, (snapshot) => {
+        snapshot.docChanges()
+            .filter((change) => change.type === "added")
+            .forEach((change) => {
+                if (peerConnection.remoteDescription) addCandidate(change.doc.data());
+                else queuedCandidates.push(change.doc.data());
+            });
+    }));
+    const setRemoteDescription = async (description) => {
+        await peerConnection.setRemoteDescription(new RTCSessionDescription(description));
+        queuedCandidates.splice(0).forEach(addCandidate);
+    };
+
+    const close = () => {
+        unsubscribes.forEach((unsubscribe) => unsubscribe());
+        localStream.getTracks().forEach((track) => track.stop());
+        peerConnection.close();
+    };
+
+    try {
+        if (role === "caller") {
+            const offer = await peerConnection.createOffer();
+            await peerConnection.setLocalDescription(offer);
+            await updateDoc(callRef, { offer: { type: offer.type, sdp: offer.sdp } });
+
+            unsubscribes.push(onSnapshot(callRef, (callSnap) => {
+                const answer = callSnap.data()?.answer;
+                if (answer && !peerConnection.remoteDescription) {
+                    setRemoteDescription(answer).catch((error) => console.error("Error applying call answer:", error));
+                }
+            }));
+        } else {
+            await setRemoteDescription(await waitForOffer(callRef));
+            const answer = await peerConnection.createAnswer();
+            await peerConnection.setLocalDescription(answer);
+            await updateDoc(callRef, {
+                answer: { type: answer.type, sdp: answer.sdp },
+                status: "active",
+                answeredAt: serverTimestamp(),
+            });
+        }
+    } catch (error) {
+        close(); // Don't leave the microphone or camera on
+        throw error;
+    }
+
+    return {
+        localStream,
+        setMuted: (muted) => localStream.getAudioTracks().forEach((track) => { track.enabled = !muted; }),
+        setCameraEnabled: (enabled) => localStream.getVideoTracks().forEach((track) => { track.enabled = enabled; }),
+        close,
+    };
+};
+
+// Finishes the call and writes the matching system message into the chat. Runs in a transaction so when
+// both sides hang up at once only one of them records it. Ringing calls become "missed" when the caller
+// gives up and "declined" when a callee refuses; answered calls become "ended" with their duration.
+export const endCall = (chatId, callId, uid) => {
+    const chatRef = doc(db, "chats", chatId);
+    const callRef = doc(chatRef, "calls", callId);
+
+    return runTransaction(db, async (transaction) => {
+        const callSnap = await transaction.get(callRef);
+        if (!callSnap.exists() || FINISHED_STATUSES.includes(callSnap.data().status)) return;
+        const chatSnap = await transaction.get(chatRef);
+
+        const call = callSnap.data();
+        const callLabel = call.type === "video" ? "video call" : "voice call";
+        let status;
+        let text;
+        if (call.status === "active") {
+            status = "ended";
+            const duration = call.answeredAt ? Date.now() - call.answeredAt.toMillis() : 0;
+            text = `${callLabel[0].toUpperCase()}${callLabel.slice(1)} ended (${formatCallDuration(duration)})`;
+        } else if (uid === call.callerId) {
+            status = "missed";
+            text = `Missed ${callLabel}`;
+        } else {
+            status = "declined";
+            text = `${callLabel[0].toUpperCase()}${callLabel.slice(1)} declined`;
+        }
+
+        transaction.update(callRef, { status, endedAt: serverTimestamp() });
+
+        // Named after the call so the message can't be written twice
+        transaction.set(doc(chatRef, "messages", `call_${callId}`), {
+            text,
+            system: true,
+            callId,
+            createdAt: serverTimestamp(),
+            senderId: call.callerId,
+            senderName: call.callerName,
+            senderImage: call.callerImage,
+            deliveredTo: [call.callerId],
+            readBy: [call.callerId],
+        });
+
+        if (chatSnap.exists()) {
+            const changes = {
+                lastMessageText: `📞 ${text}`,
+                lastMessageTimestamp: serverTimestamp(),
+                lastMessageSenderId: call.callerId,
+                lastMessageId: `call_${callId}`,
+            };
+            // Missed calls should stand out in the callee's inbox like a new message
+            if (status === "missed") {
+                call.calleeIds.forEach((calleeId) => {
+                    changes[`unreadCounts.${calleeId}`] = increment(1);
+                });
+            }
+            transaction.update(chatRef, changes);
+        }
+    });
+};
@@ -1,32 +1,92 @@
 import { auth, db } from "@/firebase"; // Assuming your Firebase config
 import { Ionicons, MaterialIcons } from "@expo/vector-icons";
-import { useLocalSearchParams, useRouter } from "expo-router";
+import * as Clipboard from "expo-clipboard";
+import * as DocumentPicker from "expo-document-picker";
+import * as ImagePicker from "expo-image-picker";
+import { useFocusEffect, useLocalSearchParams, useRouter } from "expo-router";
 import {
-    addDoc,
     collection,
     doc,
     getDoc,
-    limit,
+    getDocs,
     onSnapshot,
-    orderBy,
     query,
-    serverTimestamp,
-    setDoc,
-    updateDoc,
+    Timestamp,
     where
 } from "firebase/firestore";
-import React, { useCallback, useEffect, useState } from "react"; // Removed useRef as flatListRef is removed
+import { getDownloadURL, getStorage, ref as storageRef, uploadBytesResumable } from "firebase/storage";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
     ActivityIndicator,
+    Alert,
+    AppState,
+    FlatList,
+    Image,
+    Linking,
+    Modal,
     Platform,
     SafeAreaView,
     StatusBar,
     StyleSheet,
     Text,
+    TextInput,
     TouchableOpacity,
     View
 } from "react-native";
-import { Bubble, GiftedChat, InputToolbar } from 'react-native-gifted-chat'; // We'll use GiftedChat for a robust solution
+import MapView, { Marker } from "react-native-maps";
+import { Actions, Bubble, GiftedChat, InputToolbar, QuickReplies, SystemMessage, Time } from 'react-native-gifted-chat'; // We'll use GiftedChat for a robust solution
+import {
+    DEFAULT_CHAT_PREFERENCES,
+    DELETED_MESSAGE_PREVIEW,
+    deleteMessage,
+    editMessage,
+    EDIT_WINDOW_MS,
+    fetchEarlierMessages,
+    isChatMuted,
+    markMessagesRead,
+    markMessagesReceived,
+    MESSAGES_PAGE_SIZE,
+    muteChat,
+    MUTE_DURATIONS,
+    resetUnreadCount,
+    setChatArchived,
+    setChatMarkedUnread,
+    setChatPinned,
+    setReaction,
+    splitByMatches,
+    subscribeToChat,
+    subscribeToChatPreference,
+    subscribeToMessages,
+    subscribeToThread,
+    unmuteChat,
+} from "./chatService";
+import { BOOKING_STATUSES, getBookingStatusColor, getBookingStatusLabel, normalizeBookingStatus, transitionBooking } from "./bookingLifecycle";
+import { advertiseCallSupport, CALLS_SUPPORTED, getCallSupport, startCall, subscribeToIncomingCalls } from "./callService";
+import { discardMessage, enqueueMessage, initOutbox, retryMessage, subscribeToOutbox } from "./chatOutbox";
+import {
+    findAddress,
+    formatCoordinates,
+    getAddress,
+    getCurrentPosition,
+    getMapsUrl,
+    isLiveLocationActive,
+    LIVE_LOCATION_DURATIONS,
+    startLiveLocation,
+    stopLiveLocation,
+} from "./locationService";
+import { blockUser, REPORT_REASONS, reportUser, subscribeToBlockStatus, unblockUser } from "./moderationService";
+import { setActiveChat, useNotificationRouting } from "./notifications";
+import { exportTranscript } from "./transcriptService";
+import {
+    addSavedReply,
+    deleteSavedReply,
+    fillTemplate,
+    parseChoices,
+    subscribeToSavedReplies,
+    TEMPLATE_PLACEHOLDERS,
+    updateSavedReply,
+} from "./savedReplyService";
+import { formatPresence, setTyping, startPresence, subscribeToPresence, subscribeToTyping } from "./presence";
 
 // Removed formatTimestamp as it's not explicitly used by GiftedChat's default rendering
 // If you wish to use a custom format, you'd re-add this and pass it to GiftedChat's renderTime prop.
@@ -46,18 +106,305 @@ import { Bubble, GiftedChat, InputToolbar } from 'react-native-gifted-chat'; //
 //     }
 // };
 
+// Text shown in the chat list for a message, so attachments get a readable preview
+const getMessagePreview = ({ text, image, file, booking, location }) => {
+    if (image) return text ? `📷 ${text}` : "📷 Photo";
+    if (file) return `📎 ${file.name || "Document"}`;
+    if (booking) return `🚗 Booking: ${booking.carModel}`;
+    if (location) return getLocationPreview(location);
+    return text;
+};
+
+const getLocationPreview = (location) => {
+    if (location.kind === "live") return "📍 Live location";
+    const label = location.kind === "meetingPoint" ? "Meeting point" : "Location";
+    return location.address ? `📍 ${label}: ${location.address}` : `📍 ${label}`;
+};
+
+const REACTION_EMOJIS = ["👍", "❤️", "😂", "😮", "😢", "🙏"];
+
+// Groups a message's { uid: emoji } reactions into chips like { emoji: "👍", count: 2, mine: true }
+const summarizeReactions = (reactions, currentUserId) => {
+    const summary = {};
+    Object.entries(reactions || {}).forEach(([uid, emoji]) => {
+        summary[emoji] = summary[emoji] || { emoji, count: 0, mine: false };
+        summary[emoji].count += 1;
+        summary[emoji].mine = summary[emoji].mine || uid === currentUserId;
+    });
+    return Object.values(summary);
+};
+
+// Uploads a local file to Firebase Storage and resolves with its download URL.
+// onProgress is called with a value between 0 and 1 while the upload runs.
+const uploadAttachment = async (uri, path, contentType, onProgress) => {
+    const response = await fetch(uri);
+    const blob = await response.blob();
+    const fileRef = storageRef(getStorage(), path);
+
+    return new Promise((resolve, reject) => {
+        const task = uploadBytesResumable(fileRef, blob, { contentType });
+        task.on(
+            "state_changed",
+            (snapshot) => onProgress?.(snapshot.bytesTransferred / snapshot.totalBytes),
+            reject,
+            async () => resolve(await getDownloadURL(task.snapshot.ref))
+        );
+    });
+};
+
+// Sent/delivered/read ticks for outgoing messages, drawn inside the bubble next to the time.
+// In groups a message only counts as delivered/read once every other member has it.
+const renderTicks = (message, currentUserId, otherParticipantIds) => {
+    if (message.user._id !== currentUserId) return null;
+    if (message.failed) {
+        return (
+            <View style={styles.tickContainer}>
+                <Ionicons name="alert-circle" size={14} color="#FFCDD2" />
+            </View>
+        );
+    }
+
+    const everyoneIn = (uids) => otherParticipantIds.length > 0 && otherParticipantIds.every((uid) => uids.includes(uid));
+    let icon = "checkmark"; // Written to the server
+    let color = "#D0D0D0";
+    if (everyoneIn(message.readBy)) {
+        icon = "checkmark-done";
+        color = "#A5D6FF";
+    } else if (everyoneIn(message.deliveredTo)) {
+        icon = "checkmark-done";
+    } else if (!message.sent) {
+        icon = "time-outline"; // Still waiting for the server timestamp
+    }
+
+    return (
+        <View style={styles.tickContainer}>
+            <Ionicons name={icon} size={14} color={color} />
+        </View>
+    );
+};
+
+// Booking dates may be Firestore Timestamps or ISO strings depending on where the booking was created
+const formatBookingDate = (value) => {
+    const date = value?.toDate ? value.toDate() : new Date(value);
+    if (!value || isNaN(date.getTime())) return null;
+    return date.toLocaleDateString([], { month: 'short', day: 'numeric' }); // e.g., "Jan 1"
+};
+
+const toIsoDate = (value) => {
+    const date = value?.toDate ? value.toDate() : new Date(value);
+    return value && !isNaN(date.getTime()) ? date.toISOString() : null;
+};
+
+// Fields of a shared booking card, taken from a bookings document. Dates are stored as ISO strings so
+// the card can sit in the outbox (AsyncStorage) before it's sent.
+const getBookingCard = (bookingId, data) => ({
+    bookingId,
+    carModel: `${data.vehicleBrand ?? ""} ${data.vehicleModel ?? ""}`.trim() || "Unknown Car",
+    licensePlate: data.vehicleNumber ?? null,
+    carImage: data.vehicleImageUrl || null,
+    pickupDate: toIsoDate(data.startDate),
+    returnDate: toIsoDate(data.endDate),
+    price: data.price ?? null,
+    status: normalizeBookingStatus(data.status) || data.status,
+});
+
+// A booking shared into the chat. Shows the copy saved on the message straight away, then follows the
+// live booking document so status and dates stay current.
+const BookingCard = ({ booking, isOwn, onPress }) => {
+    const [liveBooking, setLiveBooking] = useState(null);
+
+    useEffect(() => onSnapshot(doc(db, "bookings", booking.bookingId), (bookingSnap) => {
+        setLiveBooking(bookingSnap.exists() ? getBookingCard(bookingSnap.id, bookingSnap.data()) : null);
+    }, () => {
+        setLiveBooking(null); // Not everyone in the chat may be allowed to read the booking; keep the saved copy
+    }), [booking.bookingId]);
+
+    const card = liveBooking || booking;
+    const pickup = formatBookingDate(card.pickupDate);
+    const dropoff = formatBookingDate(card.returnDate);
+    return (
+        <TouchableOpacity style={[styles.bookingCard, isOwn && styles.bookingCardOwn]} onPress={onPress}>
+            <Image
+                source={{ uri: card.carImage || "https://via.placeholder.com/150" }}
+                style={styles.bookingCardImage}
+                resizeMode="cover"
+            />
+            <View style={styles.bookingCardInfo}>
+                <Text style={styles.bookingCardTitle} numberOfLines={1}>{card.carModel}</Text>
+                {card.licensePlate && <Text style={styles.bookingCardDetail}>Plate: {card.licensePlate}</Text>}
+                {pickup && <Text style={styles.bookingCardDetail}>{dropoff ? `${pickup} – ${dropoff}` : pickup}</Text>}
+                <View style={styles.bookingCardFooter}>
+                    {card.price !== null && (
+                        <Text style={styles.bookingCardPrice}>${parseFloat(card.price).toFixed(2)}</Text>
+                    )}
+                    {/* Copies saved before statuses were normalized may say "Pending" etc.; the helpers accept both */}
+                    <Text style={[styles.bookingCardStatus, { color: getBookingStatusColor(card.status) }]}>
+                        {getBookingStatusLabel(card.status)}
+                    </Text>
+                </View>
+            </View>
+        </TouchableOpacity>
+    );
+};
+
+// What the car owner can do with the booking from the chat header, by its current status. The renter
+// cancels from the booking history instead, where the refund is shown.
+const OWNER_BOOKING_ACTIONS = {
+    [BOOKING_STATUSES.PENDING]: [
+        { to: BOOKING_STATUSES.ACCEPTED, label: "Accept", confirm: "Accept this booking request?" },
+        { to: BOOKING_STATUSES.DECLINED, label: "Decline", confirm: "Decline this booking request?", destructive: true },
+    ],
+    [BOOKING_STATUSES.ACCEPTED]: [
+        { to: BOOKING_STATUSES.ACTIVE, label: "Start rental", confirm: "Has the renter picked up the car?" },
+    ],
+    [BOOKING_STATUSES.ACTIVE]: [
+        { to: BOOKING_STATUSES.COMPLETED, label: "Complete", confirm: "Has the car been returned?" },
+    ],
+};
+
+const LOCATION_TITLES = { current: "Location", meetingPoint: "Meeting point", live: "Live location" };
+const LOCATION_ICONS = { current: "place", meetingPoint: "flag", live: "my-location" };
+
+const formatClockTime = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Card for a location message; tapping it opens the maps app. A live location re-renders every
+// half minute so it turns into "ended" on time even when no update arrives.
+const LocationCard = ({ location, isOwn, onStop }) => {
+    const [now, setNow] = useState(Date.now());
+    const isLive = isLiveLocationActive(location, now);
+
+    useEffect(() => {
+        if (!isLive) return;
+        const interval = setInterval(() => setNow(Date.now()), 30000);
+        return () => clearInterval(interval);
+    }, [isLive]);
+
+    const updatedAt = location.updatedAt?.toDate?.();
+    let liveStatus = null;
+    if (isLive) liveStatus = `Sharing until ${formatClockTime(new Date(location.expiresAt))}`;
+    else if (location.kind === "live") liveStatus = updatedAt ? `Ended · last updated ${formatClockTime(updatedAt)}` : "Ended";
+
+    return (
+        <TouchableOpacity style={[styles.bookingCard, styles.locationCard, isOwn && styles.bookingCardOwn]} onPress={() => Linking.openURL(getMapsUrl(location))}>
+            <View style={styles.locationCardHeader}>
+                <MaterialIcons name={LOCATION_ICONS[location.kind] || "place"} size={22} color={isLive ? "#34A853" : "#4285F4"} />
+                <Text style={[styles.bookingCardTitle, styles.locationCardTitle]} numberOfLines={1}>
+                    {LOCATION_TITLES[location.kind] || "Location"}
+                </Text>
+            </View>
+            {location.address && <Text style={styles.bookingCardDetail} numberOfLines={2}>{location.address}</Text>}
+            <Text style={styles.bookingCardDetail}>{formatCoordinates(location)}</Text>
+            {liveStatus && <Text style={[styles.bookingCardDetail, isLive && styles.locationLiveText]}>{liveStatus}</Text>}
+            <View style={styles.bookingCardFooter}>
+                <Text style={styles.bookingCardStatus}>Open in Maps</Text>
+                {isLive && isOwn && (
+                    <TouchableOpacity onPress={onStop}>
+                        <Text style={styles.locationStopText}>Stop sharing</Text>
+                    </TouchableOpacity>
+                )}
+            </View>
+        </TouchableOpacity>
+    );
+};
+
+const EMPTY_HISTORY = { chatId: null, anchor: null, cursor: null, earlierMessages: [], hasEarlier: false };
+
+// Converts a Firestore message document into the shape GiftedChat expects
+const mapMessageDoc = (messageDoc) => {
+    const data = messageDoc.data();
+    return {
+        _id: messageDoc.id,
+        text: data.deleted ? DELETED_MESSAGE_PREVIEW : data.text, // Bubble only renders text when it's non-empty
+        image: data.image || undefined, // GiftedChat renders this with renderMessageImage
+        file: data.file || null,
+        booking: data.booking || null,
+        location: data.location || null,
+        quickReplies: data.quickReplies || undefined,
+        replyTo: data.replyTo || null,
+        reactions: data.reactions || {},
+        edited: !!data.editedAt,
+        deleted: !!data.deleted,
+        system: !!data.system, // Call events and booking updates, rendered centred without a bubble
+        systemType: data.systemType || null, // "bookingStatus", "pickupReminder" or "reviewRequest" for booking updates
+        bookingId: data.bookingId || null,
+        createdAt: data.createdAt?.toDate(), // Convert Firestore Timestamp to Date
+        user: {
+            _id: data.senderId,
+            name: data.senderName,
+            avatar: data.senderImage,
+        },
+        readBy: data.readBy || [],
+        deliveredTo: data.deliveredTo || [],
+        sent: !!data.createdAt, // GiftedChat tick flag; false until the server timestamp arrives
+    };
+};
+
+const TYPING_TIMEOUT_MS = 3000; // Stop showing "typing…" after this long without a keystroke
+
+const formatFileSize = (bytes) => {
+    if (!bytes) return "";
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
 
 const ChatScreen = () => {
     const router = useRouter();
-    const { recipientId, recipientName: paramRecipientName, recipientImage: paramRecipientImage, vehicleName: paramVehicleName } = useLocalSearchParams();
+    useNotificationRouting();
+    const { recipientId, recipientName: paramRecipientName, recipientImage: paramRecipientImage, vehicleName: paramVehicleName, bookingId: paramBookingId, chatId: paramChatId, title: paramTitle, searchQuery: paramSearchQuery, focusMessageId } = useLocalSearchParams();
 
     const [messages, setMessages] = useState([]);
     const [currentUser, setCurrentUser] = useState(null); // Firestore user data
     const [loading, setLoading] = useState(true);
     const [chatDocId, setChatDocId] = useState(null); // The ID of the chat document in Firestore
+    const [chatData, setChatData] = useState(null); // Latest snapshot of the chat document (unread counts etc.)
+    const [booking, setBooking] = useState(null); // Live booking this thread belongs to, if any
+    const [bookingUpdating, setBookingUpdating] = useState(false); // Owner action in progress
+    const [recipientPresence, setRecipientPresence] = useState(null);
+    const [typingUids, setTypingUids] = useState([]); // Other participants currently typing
+    const [, setPresenceClock] = useState(0); // Re-renders the "last seen" subtitle every minute
+    // Older pages fetched with "load earlier", plus the cursors used to fetch them. Tagged with the chat
+    // they belong to so nothing carries over if the thread changes.
+    const [history, setHistory] = useState(EMPTY_HISTORY);
+    const [loadingEarlier, setLoadingEarlier] = useState(false);
+    const [composerText, setComposerText] = useState("");
+    const [editingMessage, setEditingMessage] = useState(null); // Own message whose text is in the composer
+    const [replyingTo, setReplyingTo] = useState(null); // Message quoted by the next one we send
+    const [reactionTarget, setReactionTarget] = useState(null); // Message the emoji picker is open for
+    const [outboxEntries, setOutboxEntries] = useState([]); // Our messages that Firestore doesn't have yet
+    const typingTimeoutRef = useRef(null);
+    const isTypingRef = useRef(false);
+    const [uploadProgress, setUploadProgress] = useState(null); // null when no attachment is uploading
+    const [viewerImage, setViewerImage] = useState(null); // URL shown in the full-screen image viewer
+    // In-chat search. Opened with a query when coming from the global search, which also says which message to show.
+    const [searchOpen, setSearchOpen] = useState(!!paramSearchQuery);
+    const [searchQuery, setSearchQuery] = useState(paramSearchQuery || "");
+    const [activeMatchId, setActiveMatchId] = useState(null); // Match currently scrolled to and outlined
+    // Pending jump that may need older pages first: { messageId } or { olderThan: matchId | null }
+    const [seek, setSeek] = useState(focusMessageId ? { messageId: focusMessageId } : null);
+    const messageContainerRef = useRef(null);
+    const [blockStatus, setBlockStatus] = useState({ blockedByMe: false, blockedMe: false }); // One-to-one chats only
+    const [reportTarget, setReportTarget] = useState(null); // { userId, userName, message } while the report form is open
+    const [reportReason, setReportReason] = useState(REPORT_REASONS[0]);
+    const [reportDetails, setReportDetails] = useState("");
+    const [shareableBookings, setShareableBookings] = useState(null); // Non-null while the booking picker is open
+    const [savedReplies, setSavedReplies] = useState([]);
+    const [savedRepliesOpen, setSavedRepliesOpen] = useState(false);
+    const [savedReplyForm, setSavedReplyForm] = useState(null); // { id?, title, text, choices } while adding/editing one
+    const [pendingChoices, setPendingChoices] = useState([]); // Quick-reply chips attached to the next message
+    const [meetingPoint, setMeetingPoint] = useState(null); // { latitude, longitude, address } while a pin is being placed
+    const [chatPreferences, setChatPreferences] = useState(DEFAULT_CHAT_PREFERENCES); // Our pin/mute/archive settings
+    const [chatMenu, setChatMenu] = useState(null); // "main" or "mute" while the header menu is open
+    const [exporting, setExporting] = useState(false);
+    const [isFocused, setIsFocused] = useState(true); // False while another screen is on top of this one
+    const [appActive, setAppActive] = useState(AppState.currentState === "active");
 
-    // Removed flatListRef as it was unused and GiftedChat handles its own scrolling
-    // const flatListRef = useRef(null); // For auto-scrolling
+    // Everyone in the chat except us; before a one-to-one chat exists that's just the recipient
+    const otherParticipantIds = useMemo(() => {
+        if (chatData?.participants) return chatData.participants.filter((uid) => uid !== currentUser?.uid);
+        return recipientId ? [recipientId] : [];
+    }, [chatData, currentUser, recipientId]);
+    const isGroup = !!chatData?.isGroup;
 
     // Effect for user authentication and fetching current user data
     useEffect(() => {
@@ -81,90 +428,271 @@ const ChatScreen = () => {
     }, [router]); // Added router to the dependency array of this useEffect
 
 
-    // Effect to find/create chat document and listen for messages
+    // Effect to find the chat document for this thread (messages are subscribed to separately below)
     useEffect(() => {
-        if (!currentUser || !recipientId) {
-            return; // Wait for both user and recipientId to be available
+        if (!currentUser) return;
+
+        // Group chats (and anything else opened by id) already know their document
+        if (paramChatId) {
+            setChatDocId(paramChatId);
+            return subscribeToChat(paramChatId, setChatData);
         }
 
-        const participants = [currentUser.uid, recipientId].sort(); // Ensure consistent ordering
+        if (!recipientId) {
+            return; // Wait for both user and recipientId to be available
+        }
 
-        // Query for existing chat document
-        const q = query(
-            collection(db, "chats"),
-            where("participants", "==", participants),
-            limit(1) // Assuming only one chat per participant pair
+        // Each booking has its own thread; without a bookingId we use the pair's general thread.
+        // The chat document may not exist yet - the first message creates it under this id.
+        return subscribeToThread(
+            { participants: [currentUser.uid, recipientId], bookingId: paramBookingId || null },
+            ({ chatId, chat }) => {
+                setChatDocId(chatId);
+                setChatData(chat);
+            }
         );
+    }, [currentUser, recipientId, paramBookingId, paramChatId]);
 
-        const unsubscribe = onSnapshot(q, async (snapshot) => {
-            if (!snapshot.empty) {
-                const doc = snapshot.docs[0];
-                setChatDocId(doc.id); // Found existing chat document
-            } else {
-                // No existing chat, create a new one (only if we're ready to send a message)
-                // This logic is simplified; in a real app, you might create it on first message send
-                console.log("No existing chat found. A new one will be created on first message.");
-                setChatDocId(null); // Explicitly null if not found
-            }
+    // Live listener for the newest messages. Until the first page is known it's a plain limit() query;
+    // after that it's pinned to the oldest message of that page with endAt(), so new messages extend the
+    // live window instead of pushing older ones out of it (and out of reach of the "load earlier" cursor).
+    const liveAnchor = history.chatId === chatDocId ? history.anchor : null;
+    useEffect(() => {
+        if (!chatDocId) {
+            setMessages([]);
+            return;
+        }
 
-            // Now set up message listener for this chat
-            if (chatDocId || snapshot.docs[0]?.id) { // Use found doc ID or new one
-                const currentChatDocId = chatDocId || snapshot.docs[0]?.id;
-                const messagesRef = collection(db, "chats", currentChatDocId, "messages");
-                const messagesQuery = query(messagesRef, orderBy("createdAt", "desc")); // GiftedChat prefers descending
-
-                const unsubscribeMessages = onSnapshot(messagesQuery, (msgSnapshot) => {
-                    const loadedMessages = msgSnapshot.docs.map(doc => {
-                        const data = doc.data();
-                        return {
-                            _id: doc.id,
-                            text: data.text,
-                            createdAt: data.createdAt?.toDate(), // Convert Firestore Timestamp to Date
-                            user: {
-                                _id: data.senderId,
-                                name: data.senderName,
-                                avatar: data.senderImage,
-                            },
-                        };
-                    });
-                    setMessages(loadedMessages);
-                }, (error) => {
-                    console.error("Error fetching messages:", error);
+        return subscribeToMessages(chatDocId, liveAnchor, (msgSnapshot) => {
+            setMessages(msgSnapshot.docs.map(mapMessageDoc));
+
+            // A cached first snapshot may be incomplete, so only pin the window once the server has answered.
+            // An empty thread is pinned to the epoch: everything that arrives later belongs in the window.
+            if (!liveAnchor && !msgSnapshot.metadata.fromCache) {
+                const oldestDoc = msgSnapshot.docs[msgSnapshot.docs.length - 1] || null;
+                setHistory((current) => current.chatId === chatDocId ? current : {
+                    chatId: chatDocId,
+                    anchor: oldestDoc || Timestamp.fromMillis(0),
+                    cursor: oldestDoc,
+                    earlierMessages: [],
+                    hasEarlier: msgSnapshot.docs.length === MESSAGES_PAGE_SIZE,
                 });
-                return () => unsubscribeMessages();
             }
+        });
+    }, [chatDocId, liveAnchor]);
+
+    // Fetches the page before the oldest loaded message; loaded pages stay in memory while the screen is open
+    const loadEarlierMessages = useCallback(async () => {
+        if (!chatDocId || history.chatId !== chatDocId || !history.hasEarlier || loadingEarlier) return;
+
+        setLoadingEarlier(true);
+        try {
+            const earlierDocs = await fetchEarlierMessages(chatDocId, history.cursor);
+            const page = earlierDocs.map(mapMessageDoc);
+
+            setHistory((current) => current.chatId !== chatDocId ? current : {
+                ...current,
+                cursor: earlierDocs[earlierDocs.length - 1] || current.cursor,
+                earlierMessages: [...current.earlierMessages, ...page],
+                hasEarlier: earlierDocs.length === MESSAGES_PAGE_SIZE,
+            });
+        } catch (error) {
+            console.error("Error loading earlier messages:", error);
+        } finally {
+            setLoadingEarlier(false);
+        }
+    }, [chatDocId, history, loadingEarlier]);
+
+    // Mark ourselves online while the chat is open (presence.js handles background/disconnects)
+    useEffect(() => {
+        if (!currentUser) return;
+        return startPresence(currentUser.uid);
+    }, [currentUser]);
+
+    // No push notifications for this chat while it's on screen
+    useEffect(() => {
+        if (!currentUser || !chatDocId) return;
+        return setActiveChat(currentUser.uid, chatDocId);
+    }, [currentUser, chatDocId]);
+
+    useEffect(() => {
+        if (!currentUser) return;
+        return subscribeToSavedReplies(currentUser.uid, setSavedReplies);
+    }, [currentUser]);
+
+    // Opening the chat reads it, so a manual "unread" mark is cleared when the settings first load
+    useEffect(() => {
+        if (!currentUser || !chatDocId) return;
+        let firstSnapshot = true;
+        return subscribeToChatPreference(chatDocId, currentUser.uid, (preferences) => {
+            setChatPreferences(preferences);
+            if (firstSnapshot && preferences.markedUnread) {
+                setChatMarkedUnread(chatDocId, currentUser.uid, false)
+                    .catch((error) => console.error("Error clearing unread mark:", error));
+            }
+            firstSnapshot = false;
+        });
+    }, [currentUser, chatDocId]);
+
+    // Either side blocking the other stops the conversation
+    useEffect(() => {
+        if (!currentUser || !recipientId || paramChatId) return;
+        return subscribeToBlockStatus(currentUser.uid, recipientId, setBlockStatus);
+    }, [currentUser, recipientId, paramChatId]);
+    const isBlocked = blockStatus.blockedByMe || blockStatus.blockedMe;
+
+    // Ring this screen when someone calls us, and let callers know whether this device can take in-app calls
+    useEffect(() => {
+        if (!currentUser) return;
+        advertiseCallSupport(currentUser.uid)
+            .catch((error) => console.error("Error saving call support:", error));
+        return subscribeToIncomingCalls(currentUser.uid, ({ chatId, callId }) => {
+            router.push({ pathname: "/call", params: { chatId, callId } });
+        });
+    }, [currentUser, router]);
+
+    // Recipient's online/last-seen state for the header (groups show their member count instead)
+    useEffect(() => {
+        if (!recipientId || paramChatId) return;
+        const unsubscribe = subscribeToPresence(recipientId, setRecipientPresence);
+        const clock = setInterval(() => setPresenceClock((tick) => tick + 1), 60 * 1000);
+        return () => {
+            unsubscribe();
+            clearInterval(clock);
+        };
+    }, [recipientId, paramChatId]);
+
+    // Typing indicator for this chat; clears our own flag when leaving the screen
+    useEffect(() => {
+        if (!currentUser || !chatDocId) return;
+
+        const unsubscribe = subscribeToTyping(chatDocId, currentUser.uid, setTypingUids);
+
+        return () => {
+            unsubscribe();
+            clearTimeout(typingTimeoutRef.current);
+            if (isTypingRef.current) {
+                isTypingRef.current = false;
+                setTyping(chatDocId, currentUser.uid, false).catch(() => {});
+            }
+        };
+    }, [currentUser, chatDocId]);
+
+    const updateTyping = useCallback((isTyping) => {
+        if (!currentUser || !chatDocId || isTypingRef.current === isTyping) return;
+        isTypingRef.current = isTyping;
+        setTyping(chatDocId, currentUser.uid, isTyping)
+            .catch((error) => console.error("Error updating typing state:", error));
+    }, [currentUser, chatDocId]);
+
+    // Nobody is typing in a chat that's in the background
+    useEffect(() => {
+        if (appActive) return;
+        clearTimeout(typingTimeoutRef.current);
+        updateTyping(false);
+    }, [appActive, updateTyping]);
+
+    const handleInputTextChanged = useCallback((text) => {
+        setComposerText(text);
+        clearTimeout(typingTimeoutRef.current);
+        if (!text) {
+            updateTyping(false);
+            return;
+        }
+        updateTyping(true);
+        typingTimeoutRef.current = setTimeout(() => updateTyping(false), TYPING_TIMEOUT_MS);
+    }, [updateTyping]);
+
+    // Load messages left over from a previous session and resend them
+    useEffect(() => {
+        initOutbox();
+    }, []);
+
+    useEffect(() => {
+        if (!chatDocId) {
+            setOutboxEntries([]);
+            return;
+        }
+        return subscribeToOutbox(chatDocId, setOutboxEntries);
+    }, [chatDocId]);
+
+    // Keep the booking's dates and status live in the header
+    useEffect(() => {
+        if (!paramBookingId) {
+            setBooking(null);
+            return;
+        }
+
+        const unsubscribe = onSnapshot(doc(db, "bookings", paramBookingId), (bookingSnap) => {
+            setBooking(bookingSnap.exists() ? bookingSnap.data() : null);
         }, (error) => {
-            console.error("Error finding/creating chat document:", error);
+            console.error("Error fetching booking for chat:", error);
         });
 
         return () => unsubscribe();
-    }, [currentUser, recipientId, chatDocId, router]); // Added router to the dependency array
+    }, [paramBookingId]);
 
+    useFocusEffect(useCallback(() => {
+        setIsFocused(true);
+        return () => setIsFocused(false);
+    }, []));
 
-    const onSend = useCallback(async (newMessages = []) => {
-        if (!currentUser || !recipientId || newMessages.length === 0) return;
+    useEffect(() => {
+        const subscription = AppState.addEventListener("change", (nextState) => setAppActive(nextState === "active"));
+        return () => subscription.remove();
+    }, []);
+    const isViewing = isFocused && appActive;
 
-        const messageToSend = newMessages[0];
-        const { text } = messageToSend;
+    // Every incoming message the snapshot brings in has reached this device, whether or not it's on screen
+    useEffect(() => {
+        if (!currentUser || !chatDocId) return;
+
+        const undeliveredMessages = messages.filter(
+            (message) => message.user._id !== currentUser.uid && !message.deliveredTo.includes(currentUser.uid)
+        );
+        if (undeliveredMessages.length === 0) return;
 
-        // Ensure participants are always sorted for consistent chat lookup
-        const participants = [currentUser.uid, recipientId].sort();
+        markMessagesReceived(chatDocId, undeliveredMessages.map((message) => message._id), currentUser.uid)
+            .catch((error) => console.error("Error marking messages as delivered:", error));
+    }, [messages, currentUser, chatDocId]);
 
-        let currentChatRef;
-        if (chatDocId) {
-            // If chat document already exists, use its reference
-            currentChatRef = doc(db, "chats", chatDocId);
-        } else {
-            // If no chat document exists, create a new one
-            currentChatRef = doc(collection(db, "chats"));
-            setChatDocId(currentChatRef.id); // Set the new chat doc ID
-
-            await setDoc(currentChatRef, {
-                participants: participants,
-                createdAt: serverTimestamp(),
-                lastMessageText: text,
-                lastMessageTimestamp: serverTimestamp(),
-                // Add any other chat metadata you need, e.g., related vehicle ID, names of participants
+    // Only while the thread is actually on screen do incoming messages count as read
+    useEffect(() => {
+        if (!currentUser || !chatDocId || !isViewing) return;
+
+        const unreadMessages = messages.filter(
+            (message) => message.user._id !== currentUser.uid && !message.readBy.includes(currentUser.uid)
+        );
+        if (unreadMessages.length === 0) return;
+
+        markMessagesRead(chatDocId, unreadMessages.map((message) => message._id), currentUser.uid)
+            .catch((error) => console.error("Error marking messages as read:", error));
+    }, [messages, currentUser, chatDocId, isViewing]);
+
+    // Reset our unread counter whenever it goes up while the thread is on screen
+    useEffect(() => {
+        if (!currentUser || !chatDocId || !isViewing || !chatData?.unreadCounts?.[currentUser.uid]) return;
+
+        resetUnreadCount(chatDocId, currentUser.uid)
+            .catch((error) => console.error("Error resetting unread count:", error));
+    }, [chatData, currentUser, chatDocId, isViewing]);
+
+
+    // Queues a message (text and/or attachment fields) in the outbox, which writes it to Firestore
+    // and creates the chat document in the same transaction as the first message.
+    // Nothing can be sent until the thread lookup has settled (the composer and attachments are disabled
+    // until then): a message sent to the derived id while an older thread exists would split the conversation.
+    const sendMessage = useCallback((fields) => {
+        if (!currentUser || !chatDocId || (!recipientId && !paramChatId)) return;
+
+        const id = doc(collection(db, "chats", chatDocId, "messages")).id; // Also the Firestore doc id, so retries can't duplicate it
+        enqueueMessage({
+            id,
+            chatId: chatDocId,
+            // Groups already exist; a one-to-one chat is created by its first message
+            chatInit: paramChatId ? null : {
+                // Ensure participants are always sorted for consistent chat lookup
+                participants: [currentUser.uid, recipientId].sort(),
                 participantNames: {
                     [currentUser.uid]: currentUser.displayName || currentUser.email,
                     [recipientId]: paramRecipientName, // Use param name passed from previous screen
@@ -174,27 +702,682 @@ const ChatScreen = () => {
                     [recipientId]: paramRecipientImage || null,
                 },
                 vehicleName: paramVehicleName || null, // Optional: link chat to a vehicle
+                bookingId: paramBookingId || null, // null marks the pair's general thread
+            },
+            recipientIds: otherParticipantIds,
+            sender: {
+                uid: currentUser.uid,
+                name: currentUser.displayName || currentUser.email,
+                image: currentUser.profileImage || null,
+            },
+            fields,
+            previewText: getMessagePreview(fields),
+            createdAt: Date.now(),
+        });
+        return { chatId: chatDocId, id };
+    }, [currentUser, recipientId, chatDocId, paramChatId, otherParticipantIds, paramRecipientName, paramRecipientImage, paramVehicleName, paramBookingId]);
+
+    // Failed messages stay in the thread until the user retries or deletes them
+    const handleMessagePress = useCallback((context, message) => {
+        if (!message.failed) return;
+        Alert.alert("Message not sent", "This message couldn't be delivered.", [
+            { text: "Delete", style: "destructive", onPress: () => discardMessage(message._id) },
+            { text: "Cancel", style: "cancel" },
+            { text: "Retry", onPress: () => retryMessage(message._id) },
+        ]);
+    }, []);
+
+    // Messages only have a lastMessageId on the chat doc once sent through the outbox; for older chats
+    // the newest message we have loaded is the best guess at which one the preview shows.
+    const isLatestMessage = useCallback((message) => messages[0]?._id === message._id, [messages]);
+
+    const handleEditSubmit = useCallback((text) => {
+        const message = editingMessage;
+        setEditingMessage(null);
+        if (!chatDocId || !text.trim() || text === message.text) return;
+
+        editMessage(chatDocId, message._id, text.trim(), isLatestMessage(message)).catch((error) => {
+            console.error("Error editing message:", error);
+            Alert.alert("Error", "Could not edit the message: " + error.message);
+        });
+    }, [editingMessage, chatDocId, isLatestMessage]);
+
+    const onSend = useCallback(async (newMessages = []) => {
+        if (newMessages.length === 0) return;
+        clearTimeout(typingTimeoutRef.current);
+        updateTyping(false);
+
+        if (editingMessage) {
+            handleEditSubmit(newMessages[0].text);
+            return;
+        }
+        if (isBlocked) {
+            Alert.alert("Can't send message", blockStatus.blockedByMe
+                ? "You've blocked this user. Unblock them to send messages."
+                : "This user isn't accepting messages from you.");
+            return;
+        }
+
+        const fields = { text: newMessages[0].text };
+        if (pendingChoices.length > 0) {
+            // Shown as GiftedChat quick-reply chips on the recipient's side
+            fields.quickReplies = {
+                type: "radio",
+                keepIt: false,
+                values: pendingChoices.map((choice) => ({ title: choice, value: choice })),
+            };
+            setPendingChoices([]);
+        }
+        if (replyingTo) {
+            fields.replyTo = {
+                messageId: replyingTo._id,
+                senderName: replyingTo.user.name || "",
+                text: getMessagePreview(replyingTo) || "",
+            };
+            setReplyingTo(null);
+        }
+        sendMessage(fields);
+    }, [sendMessage, updateTyping, editingMessage, handleEditSubmit, replyingTo, isBlocked, blockStatus, pendingChoices]);
+
+    const handleDeleteMessage = useCallback((message) => {
+        Alert.alert("Delete message?", "This message will be deleted for everyone in the chat.", [
+            { text: "Cancel", style: "cancel" },
+            {
+                text: "Delete",
+                style: "destructive",
+                onPress: () => {
+                    deleteMessage(chatDocId, message._id, isLatestMessage(message)).catch((error) => {
+                        console.error("Error deleting message:", error);
+                        Alert.alert("Error", "Could not delete the message: " + error.message);
+                    });
+                },
+            },
+        ]);
+    }, [chatDocId, isLatestMessage]);
+
+    const handleReact = useCallback((message, emoji) => {
+        setReactionTarget(null);
+        if (!chatDocId || !currentUser) return;
+        // Picking the reaction you already have removes it
+        const nextEmoji = message.reactions?.[currentUser.uid] === emoji ? null : emoji;
+        setReaction(chatDocId, message._id, currentUser.uid, nextEmoji)
+            .catch((error) => console.error("Error updating reaction:", error));
+    }, [chatDocId, currentUser]);
+
+    const openReport = useCallback((userId, userName, message = null) => {
+        setReportReason(REPORT_REASONS[0]);
+        setReportDetails("");
+        setReportTarget({ userId, userName, message });
+    }, []);
+
+    const submitReport = async () => {
+        const target = reportTarget;
+        setReportTarget(null);
+        try {
+            await reportUser({
+                reporterId: currentUser.uid,
+                reportedUserId: target.userId,
+                chatId: chatDocId,
+                reason: reportReason,
+                details: reportDetails,
+                message: target.message,
+            });
+            Alert.alert("Report sent", "Thanks for letting us know. We'll review it shortly.");
+        } catch (error) {
+            console.error("Error reporting user:", error);
+            Alert.alert("Error", "Could not send the report: " + error.message);
+        }
+    };
+
+    const handleToggleBlock = () => {
+        const name = paramRecipientName || "this user";
+        if (blockStatus.blockedByMe) {
+            unblockUser(currentUser.uid, recipientId).catch((error) => {
+                console.error("Error unblocking user:", error);
+                Alert.alert("Error", "Could not unblock the user: " + error.message);
+            });
+            return;
+        }
+        Alert.alert(`Block ${name}?`, "They won't be able to message you, and they'll be hidden when you start a new chat.", [
+            { text: "Cancel", style: "cancel" },
+            {
+                text: "Block",
+                style: "destructive",
+                onPress: () => blockUser(currentUser.uid, { uid: recipientId, name: paramRecipientName, image: paramRecipientImage })
+                    .catch((error) => {
+                        console.error("Error blocking user:", error);
+                        Alert.alert("Error", "Could not block the user: " + error.message);
+                    }),
+            },
+        ]);
+    };
+
+    const updateChatPreference = (update) => update.catch((error) => {
+        console.error("Error updating chat preferences:", error);
+        Alert.alert("Error", "Could not update this conversation: " + error.message);
+    });
+
+    const handleExport = async (format) => {
+        setExporting(true);
+        try {
+            await exportTranscript({
+                chatId: chatDocId,
+                chat: chatData,
+                booking: booking ? getBookingCard(paramBookingId, booking) : null,
+                format,
             });
+        } catch (error) {
+            console.error("Error exporting conversation:", error);
+            Alert.alert("Export failed", "Could not export the conversation: " + error.message);
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    const chooseExportFormat = () => {
+        Alert.alert("Export conversation", "Includes every message with its date and time, and links to attachments.", [
+            { text: "PDF", onPress: () => handleExport("pdf") },
+            { text: "Plain Text", onPress: () => handleExport("text") },
+            { text: "Cancel", style: "cancel" },
+        ]);
+    };
+
+    // Header menu. Archiving and marking as unread are about the inbox, so both go back to it.
+    const chatMenuItems = [
+        {
+            icon: "push-pin",
+            label: chatPreferences.pinned ? "Unpin" : "Pin to top",
+            run: () => updateChatPreference(setChatPinned(chatDocId, currentUser.uid, !chatPreferences.pinned)),
+        },
+        isChatMuted(chatPreferences)
+            ? { icon: "notifications-active", label: "Unmute", run: () => updateChatPreference(unmuteChat(chatDocId, currentUser.uid)) }
+            : { icon: "notifications-off", label: "Mute notifications", run: () => setChatMenu("mute"), keepOpen: true },
+        {
+            icon: "archive",
+            label: "Archive",
+            run: () => {
+                updateChatPreference(setChatArchived(chatDocId, currentUser.uid, true));
+                router.back();
+            },
+        },
+        {
+            icon: "mark-chat-unread",
+            label: "Mark as unread",
+            run: () => {
+                updateChatPreference(setChatMarkedUnread(chatDocId, currentUser.uid, true));
+                router.back();
+            },
+        },
+        // There's nothing to export until the first message has created the chat
+        ...(chatData ? [{ icon: "file-download", label: "Export conversation", run: chooseExportFormat }] : []),
+        ...(isGroup ? [] : [
+            { icon: "block", label: blockStatus.blockedByMe ? "Unblock" : "Block", run: handleToggleBlock, destructive: true },
+            { icon: "flag", label: "Report", run: () => openReport(recipientId, paramRecipientName) },
+        ]),
+    ];
+    const muteMenuItems = MUTE_DURATIONS.map(({ label, ms }) => ({
+        icon: "notifications-off",
+        label,
+        run: () => updateChatPreference(muteChat(chatDocId, currentUser.uid, ms)),
+    }));
+
+    // Long-press menu on a bubble
+    const handleMessageLongPress = useCallback((context, message) => {
+        if (!currentUser || message.deleted || message.pending || message.failed) return;
+
+        const isOwn = message.user._id === currentUser.uid;
+        const canEdit = isOwn && !!message.text && !message.image && !message.file
+            && Date.now() - (message.createdAt?.getTime() ?? 0) < EDIT_WINDOW_MS;
+
+        const actions = [
+            { label: "Reply", run: () => {
+                setEditingMessage(null);
+                setReplyingTo(message);
+            } },
+            { label: "React", run: () => setReactionTarget(message) },
+        ];
+        if (message.text) {
+            actions.push({ label: "Copy Text", run: () => Clipboard.setStringAsync(message.text) });
+        }
+        if (canEdit) {
+            actions.push({ label: "Edit", run: () => {
+                setReplyingTo(null);
+                setEditingMessage(message);
+                setComposerText(message.text);
+            } });
+        }
+        if (isOwn) {
+            actions.push({ label: "Delete for Everyone", destructive: true, run: () => handleDeleteMessage(message) });
+        } else if (!message.system) {
+            actions.push({ label: "Report", destructive: true, run: () => openReport(message.user._id, message.user.name, message) });
+        }
+        actions.push({ label: "Cancel" });
+
+        context.actionSheet().showActionSheetWithOptions({
+            options: actions.map((action) => action.label),
+            cancelButtonIndex: actions.length - 1,
+            destructiveButtonIndex: actions.findIndex((action) => action.destructive),
+        }, (buttonIndex) => actions[buttonIndex]?.run?.());
+    }, [currentUser, handleDeleteMessage, openReport]);
+
+    const cancelComposerMode = () => {
+        if (editingMessage) setComposerText("");
+        setEditingMessage(null);
+        setReplyingTo(null);
+    };
+
+    // Bookings the user can share: ones they made and ones for their own cars
+    const openBookingPicker = useCallback(async () => {
+        if (!currentUser) return;
+        setShareableBookings([]);
+        try {
+            const bookingsRef = collection(db, "bookings");
+            const [asRenter, asOwner] = await Promise.all([
+                getDocs(query(bookingsRef, where("userId", "==", currentUser.uid))),
+                getDocs(query(bookingsRef, where("ownerId", "==", currentUser.uid))),
+            ]);
+            const bookings = [...asRenter.docs, ...asOwner.docs]
+                .filter((bookingDoc, index, all) => all.findIndex((other) => other.id === bookingDoc.id) === index)
+                .map((bookingDoc) => getBookingCard(bookingDoc.id, bookingDoc.data()))
+                // The booking this thread is about goes first, then the most recent pickups
+                .sort((a, b) => (b.bookingId === paramBookingId) - (a.bookingId === paramBookingId)
+                    || (b.pickupDate || "").localeCompare(a.pickupDate || ""));
+            setShareableBookings(bookings);
+        } catch (error) {
+            console.error("Error fetching bookings to share:", error);
+            Alert.alert("Error", "Could not load your bookings: " + error.message);
+            setShareableBookings(null);
         }
+    }, [currentUser, paramBookingId]);
 
-        // Add message to subcollection
-        await addDoc(collection(currentChatRef, "messages"), {
-            text,
-            createdAt: serverTimestamp(),
-            senderId: currentUser.uid,
-            senderName: currentUser.displayName || currentUser.email,
-            senderImage: currentUser.profileImage || null,
+    const shareBooking = (booking) => {
+        setShareableBookings(null);
+        sendMessage({ text: "", booking });
+    };
+
+    const sendCurrentLocation = useCallback(async () => {
+        try {
+            const position = await getCurrentPosition();
+            sendMessage({ text: "", location: { kind: "current", ...position, address: await getAddress(position) } });
+        } catch (error) {
+            console.error("Error sharing location:", error);
+            Alert.alert("Location unavailable", error.message);
+        }
+    }, [sendMessage]);
+
+    // The pin starts on the booking's pickup location when the geocoder finds it, otherwise where we are
+    const openMeetingPointPicker = useCallback(async () => {
+        try {
+            const position = (await findAddress(booking?.pickupLocation)) || (await getCurrentPosition());
+            setMeetingPoint({ ...position, address: (await getAddress(position)) || "" });
+        } catch (error) {
+            console.error("Error opening meeting point picker:", error);
+            Alert.alert("Location unavailable", error.message);
+        }
+    }, [booking]);
+
+    const moveMeetingPoint = async ({ latitude, longitude }) => {
+        setMeetingPoint({ latitude, longitude, address: "" });
+        const address = await getAddress({ latitude, longitude });
+        // Keep whatever the user typed meanwhile, and ignore lookups for a pin that has moved on
+        setMeetingPoint((current) => (current?.latitude === latitude && current?.longitude === longitude && !current.address
+            ? { ...current, address: address || "" }
+            : current));
+    };
+
+    const sendMeetingPoint = () => {
+        const { latitude, longitude, address } = meetingPoint;
+        setMeetingPoint(null);
+        sendMessage({ text: "", location: { kind: "meetingPoint", latitude, longitude, address: address.trim() || null } });
+    };
+
+    const shareLiveLocation = useCallback(async (durationMs) => {
+        try {
+            const position = await getCurrentPosition();
+            const expiresAt = Date.now() + durationMs;
+            const sent = sendMessage({
+                text: "",
+                // No address: it would be out of date as soon as the sender moves
+                location: { kind: "live", ...position, address: null, expiresAt, updatedAt: null, stoppedAt: null },
+            });
+            if (sent) await startLiveLocation({ chatId: sent.chatId, messageId: sent.id, expiresAt });
+        } catch (error) {
+            console.error("Error sharing live location:", error);
+            Alert.alert("Location unavailable", error.message);
+        }
+    }, [sendMessage]);
+
+    const chooseLiveLocationDuration = () => {
+        Alert.alert("Share live location", "Your position updates in this chat while the app is open, then stops automatically.", [
+            ...LIVE_LOCATION_DURATIONS.map(({ label, ms }) => ({ text: label, onPress: () => shareLiveLocation(ms) })),
+            { text: "Cancel", style: "cancel" },
+        ]);
+    };
+
+    // Uploads a picked photo/document and sends it as a message
+    const sendAttachment = useCallback(async ({ uri, name, mimeType, size, isImage }) => {
+        if (!currentUser) return;
+
+        setUploadProgress(0);
+        try {
+            // Stored under the sender's uid since the chat document may not exist yet
+            const path = `chatAttachments/${currentUser.uid}/${Date.now()}_${name}`;
+            const url = await uploadAttachment(uri, path, mimeType, setUploadProgress);
+
+            sendMessage(isImage
+                ? { text: "", image: url }
+                : { text: "", file: { url, name, mimeType: mimeType || null, size: size ?? null } });
+        } catch (error) {
+            console.error("Error sending attachment:", error);
+            Alert.alert("Upload failed", "Could not send the attachment: " + error.message);
+        } finally {
+            setUploadProgress(null);
+        }
+    }, [currentUser, sendMessage]);
+
+    const handlePickImage = useCallback(async (useCamera) => {
+        let result;
+        try {
+            const permission = useCamera
+                ? await ImagePicker.requestCameraPermissionsAsync()
+                : await ImagePicker.requestMediaLibraryPermissionsAsync();
+            if (!permission.granted) {
+                Alert.alert("Permission needed", "Please allow access so you can attach photos.");
+                return;
+            }
+
+            const pickerOptions = { mediaTypes: ImagePicker.MediaTypeOptions.Images, quality: 0.7 };
+            result = useCamera
+                ? await ImagePicker.launchCameraAsync(pickerOptions)
+                : await ImagePicker.launchImageLibraryAsync(pickerOptions);
+        } catch (error) {
+            console.error("Error picking photo:", error);
+            Alert.alert("Error", "Could not open the photo picker: " + error.message);
+            return;
+        }
+        if (result.canceled || !result.assets?.length) return;
+
+        const asset = result.assets[0];
+        await sendAttachment({
+            uri: asset.uri,
+            name: asset.fileName || `photo_${Date.now()}.jpg`,
+            mimeType: asset.mimeType || "image/jpeg",
+            size: asset.fileSize,
+            isImage: true,
         });
+    }, [sendAttachment]);
 
-        // Update the last message and timestamp on the chat document itself
-        await updateDoc(currentChatRef, {
-            lastMessageText: text,
-            lastMessageTimestamp: serverTimestamp(),
-            // You might also want to update 'readBy' status here
+    const handlePickDocument = useCallback(async () => {
+        let result;
+        try {
+            result = await DocumentPicker.getDocumentAsync({ copyToCacheDirectory: true });
+        } catch (error) {
+            console.error("Error picking document:", error);
+            Alert.alert("Error", "Could not open the document picker: " + error.message);
+            return;
+        }
+        if (result.canceled || !result.assets?.length) return;
+
+        const asset = result.assets[0];
+        await sendAttachment({
+            uri: asset.uri,
+            name: asset.name,
+            mimeType: asset.mimeType,
+            size: asset.size,
+            isImage: asset.mimeType?.startsWith("image/") ?? false, // e.g. a scanned licence picked from Files
         });
+    }, [sendAttachment]);
+
+
+    // In-app call when both devices support it, otherwise the phone number on the booking
+    const handleStartCall = useCallback(async (type) => {
+        if (!currentUser || !chatDocId || !recipientId) return;
+
+        const dialBookingContact = () => {
+            const contactNumber = booking?.contactNumber;
+            if (!contactNumber || contactNumber === "N/A") {
+                Alert.alert("Calls unavailable", "In-app calls aren't available and there's no contact number on this booking.");
+                return;
+            }
+            Linking.openURL(`tel:${contactNumber.replace(/[^\d+]/g, "")}`)
+                .catch((error) => Alert.alert("Error", "Could not start the call: " + error.message));
+        };
+
+        try {
+            if (!CALLS_SUPPORTED || !(await getCallSupport(recipientId))) {
+                dialBookingContact();
+                return;
+            }
+            const callId = await startCall({
+                chatId: chatDocId,
+                caller: {
+                    uid: currentUser.uid,
+                    name: currentUser.displayName || currentUser.email,
+                    image: currentUser.profileImage || null,
+                },
+                calleeIds: [recipientId],
+                type,
+            });
+            router.push({
+                pathname: "/call",
+                params: { chatId: chatDocId, callId, otherName: paramRecipientName, otherImage: paramRecipientImage },
+            });
+        } catch (error) {
+            console.error("Error starting call:", error);
+            Alert.alert("Error", "Could not start the call: " + error.message);
+        }
+    }, [currentUser, chatDocId, recipientId, booking, router, paramRecipientName, paramRecipientImage]);
+
+
+    // Subtitle for the header, e.g. "Toyota Corolla · Jun 1 – Jun 5 · Accepted"
+    const vehicleName = paramVehicleName || chatData?.vehicleName
+        || (booking && `${booking.vehicleBrand ?? ""} ${booking.vehicleModel ?? ""}`.trim()) || null;
+    const bookingStart = formatBookingDate(booking?.startDate);
+    const bookingEnd = formatBookingDate(booking?.endDate);
+    const bookingSummary = booking
+        ? [bookingStart && bookingEnd ? `${bookingStart} – ${bookingEnd}` : bookingStart, getBookingStatusLabel(booking.status)]
+            .filter(Boolean)
+            .join(" · ")
+        : null;
+    const ownerBookingActions = booking && currentUser && booking.ownerId === currentUser.uid
+        ? OWNER_BOOKING_ACTIONS[normalizeBookingStatus(booking.status)] || []
+        : [];
+
+    // Status changes go through transitionBooking so they're checked against the lifecycle and land in
+    // the booking's statusHistory; the chat message about it comes from the Cloud Function
+    const handleBookingAction = useCallback((action) => {
+        Alert.alert(action.label, action.confirm, [
+            { text: "Cancel", style: "cancel" },
+            {
+                text: action.label,
+                style: action.destructive ? "destructive" : "default",
+                onPress: () => {
+                    setBookingUpdating(true);
+                    transitionBooking(paramBookingId, action.to, { uid: currentUser.uid })
+                        .catch((error) => {
+                            console.error("Error updating booking:", error);
+                            Alert.alert("Error", "Could not update the booking: " + error.message);
+                        })
+                        .finally(() => setBookingUpdating(false));
+                },
+            },
+        ]);
+    }, [paramBookingId, currentUser]);
+
+    // Outbox messages go on top of what Firestore has, until the snapshot includes them
+    const displayedMessages = useMemo(() => [
+            ...outboxEntries
+                .filter((entry) => !messages.some((message) => message._id === entry.id))
+                .sort((a, b) => b.createdAt - a.createdAt)
+                .map((entry) => ({
+                    _id: entry.id,
+                    text: entry.fields.text,
+                    image: entry.fields.image || undefined,
+                    file: entry.fields.file || null,
+                    booking: entry.fields.booking || null,
+                    location: entry.fields.location || null,
+                    quickReplies: entry.fields.quickReplies || undefined,
+                    replyTo: entry.fields.replyTo || null,
+                    createdAt: new Date(entry.createdAt),
+                    user: {
+                        _id: entry.sender.uid,
+                        name: entry.sender.name,
+                        avatar: entry.sender.image,
+                    },
+                    readBy: [entry.sender.uid],
+                    deliveredTo: [entry.sender.uid],
+                    pending: entry.status !== "failed",
+                    failed: entry.status === "failed",
+                })),
+            ...messages,
+            ...(history.chatId === chatDocId ? history.earlierMessages : []),
+    ], [outboxEntries, messages, history, chatDocId]);
+    const hasEarlierMessages = history.chatId === chatDocId && history.hasEarlier;
+
+    // Reply quotes show the quoted message as it is now (edited or deleted) when it's loaded,
+    // and the text copied when the reply was sent otherwise
+    const messagesById = useMemo(() => new Map(displayedMessages.map((message) => [message._id, message])), [displayedMessages]);
+    const getQuoteText = (replyTo) => {
+        const quotedMessage = messagesById.get(replyTo.messageId);
+        if (!quotedMessage) return replyTo.text;
+        return quotedMessage.deleted ? DELETED_MESSAGE_PREVIEW : getMessagePreview(quotedMessage) || replyTo.text;
+    };
+
+    // Search only looks at loaded messages; older pages are fetched as the user steps back through matches
+    const normalizedSearch = searchOpen ? searchQuery.trim().toLowerCase() : "";
+    const searchMatches = useMemo(() => (normalizedSearch
+        ? displayedMessages.filter((message) => !message.deleted && message.text?.toLowerCase().includes(normalizedSearch))
+        : []), [displayedMessages, normalizedSearch]);
+    const activeMatchIndex = searchMatches.findIndex((message) => message._id === activeMatchId);
+    const activeMessageIndex = displayedMessages.findIndex((message) => message._id === activeMatchId);
+
+    useEffect(() => {
+        // Wait for the first page, otherwise there's no way to tell whether older messages exist
+        if (!seek || loadingEarlier || !chatDocId || history.chatId !== chatDocId) return;
+
+        const target = seek.messageId
+            ? displayedMessages.find((message) => message._id === seek.messageId)
+            : searchMatches[searchMatches.findIndex((message) => message._id === seek.olderThan) + 1];
+        if (target) {
+            setActiveMatchId(target._id);
+            setSeek(null);
+        } else if (hasEarlierMessages) {
+            loadEarlierMessages();
+        } else {
+            setSeek(null); // Reached the first message of the chat
+        }
+    }, [seek, loadingEarlier, chatDocId, history.chatId, displayedMessages, searchMatches, hasEarlierMessages, loadEarlierMessages]);
 
-    }, [currentUser, recipientId, chatDocId, paramRecipientName, paramRecipientImage, paramVehicleName]);
+    useEffect(() => {
+        if (activeMessageIndex < 0) return;
+        messageContainerRef.current?.scrollToIndex({ index: activeMessageIndex, animated: true, viewPosition: 0.5 });
+    }, [activeMessageIndex]);
+
+    // Rows far above the rendered window have no layout yet; scroll near them first, then retry
+    const handleScrollToIndexFailed = useCallback(({ index, averageItemLength }) => {
+        messageContainerRef.current?.scrollToOffset({ offset: index * averageItemLength, animated: false });
+        setTimeout(() => {
+            messageContainerRef.current?.scrollToIndex({ index, animated: true, viewPosition: 0.5 });
+        }, 250);
+    }, []);
+
+    const showNewerMatch = () => {
+        if (activeMatchIndex > 0) setActiveMatchId(searchMatches[activeMatchIndex - 1]._id);
+    };
+
+    const closeSearch = () => {
+        setSearchOpen(false);
+        setSearchQuery("");
+        setActiveMatchId(null);
+        setSeek(null);
+    };
+
+    let searchCountText = "";
+    if (seek && normalizedSearch) searchCountText = "Searching…";
+    else if (activeMatchIndex >= 0) searchCountText = `${activeMatchIndex + 1} of ${searchMatches.length}`;
+    else if (normalizedSearch) searchCountText = searchMatches.length > 0 ? `${searchMatches.length} found` : "No results";
+
+    // Header subtitle: who's typing, then presence (one-to-one) or member count (groups)
+    const isRecipientTyping = typingUids.length > 0;
+    let presenceText;
+    if (isRecipientTyping && isGroup) {
+        presenceText = typingUids.length === 1
+            ? `${chatData.participantNames?.[typingUids[0]] || "Someone"} is typing…`
+            : `${typingUids.length} people are typing…`;
+    } else if (isRecipientTyping) {
+        presenceText = "typing…";
+    } else if (isGroup) {
+        presenceText = `${chatData.participants.length} members`;
+    } else {
+        presenceText = formatPresence(recipientPresence);
+    }
+    const headerTitle = isGroup ? chatData.title || paramTitle || "Group chat" : paramRecipientName || paramTitle || "Chat";
+
+    // Values for saved-reply placeholders. The booking says who rents and who owns; without one,
+    // the other person is the renter if we're an owner and the owner otherwise.
+    const participantName = (uid) => (uid === currentUser?.uid
+        ? currentUser?.displayName || currentUser?.email
+        : chatData?.participantNames?.[uid]);
+    const isOwner = currentUser?.role === "owner";
+    const templateValues = {
+        renterName: booking?.name || participantName(booking?.userId) || (isOwner ? paramRecipientName : currentUser?.displayName),
+        ownerName: booking?.ownerName || participantName(booking?.ownerId) || (isOwner ? currentUser?.displayName : paramRecipientName),
+        vehicleName,
+        pickupLocation: booking?.pickupLocation,
+        dropoffLocation: booking?.dropoffLocation,
+        pickupDate: bookingStart,
+        returnDate: bookingEnd,
+    };
+
+    const insertSavedReply = (reply) => {
+        setSavedRepliesOpen(false);
+        setComposerText(fillTemplate(reply.text, templateValues));
+        setPendingChoices(reply.choices || []);
+    };
+
+    const saveSavedReply = async () => {
+        const form = savedReplyForm;
+        if (!form.title.trim() || !form.text.trim()) {
+            Alert.alert("Saved reply", "Please enter a title and the reply text.");
+            return;
+        }
+        const reply = { title: form.title.trim(), text: form.text.trim(), choices: parseChoices(form.choices) };
+        try {
+            if (form.id) await updateSavedReply(currentUser.uid, form.id, reply);
+            else await addSavedReply(currentUser.uid, reply);
+            setSavedReplyForm(null);
+        } catch (error) {
+            console.error("Error saving reply:", error);
+            Alert.alert("Error", "Could not save the reply: " + error.message);
+        }
+    };
+
+    const confirmDeleteSavedReply = (reply) => {
+        Alert.alert("Delete saved reply?", reply.title, [
+            { text: "Cancel", style: "cancel" },
+            {
+                text: "Delete",
+                style: "destructive",
+                onPress: () => deleteSavedReply(currentUser.uid, reply.id)
+                    .catch((error) => console.error("Error deleting saved reply:", error)),
+            },
+        ]);
+    };
 
+    // A tapped quick-reply chip is sent back as a reply to the message that offered it
+    const handleQuickReply = (replies) => {
+        const reply = replies[0];
+        const question = displayedMessages.find((message) => message._id === reply?.messageId);
+        if (!reply || !question || isBlocked) return;
+        sendMessage({
+            text: reply.title,
+            replyTo: {
+                messageId: question._id,
+                senderName: question.user.name || "",
+                text: getMessagePreview(question) || "",
+            },
+        });
+    };
 
     if (loading) {
         return (
@@ -205,7 +1388,7 @@ const ChatScreen = () => {
     }
 
     // Fallback for missing recipient ID
-    if (!recipientId) {
+    if (!recipientId && !paramChatId) {
         return (
             <View style={styles.errorContainer}>
                 <Text style={styles.errorText}>Recipient not specified. Please go back.</Text>
@@ -225,70 +1408,355 @@ const ChatScreen = () => {
                 <TouchableOpacity style={styles.headerIcon} onPress={() => router.back()}>
                     <MaterialIcons name="arrow-back" size={26} color="#333" />
                 </TouchableOpacity>
-                <View style={styles.headerTitleContainer}>
-                    <Text style={styles.headerTitle} numberOfLines={1} ellipsizeMode="tail">
-                        {paramRecipientName || "Chat"}
-                    </Text>
-                    {paramVehicleName && <Text style={styles.vehicleContext}>{paramVehicleName}</Text>}
-                </View>
-                <View style={styles.headerRightIcons}>
-                    <TouchableOpacity style={styles.headerIcon}>
-                        <Ionicons name="call" size={24} color="#333" />
-                    </TouchableOpacity>
-                    <TouchableOpacity style={styles.headerIcon}>
-                        <Ionicons name="videocam" size={24} color="#333" />
-                    </TouchableOpacity>
-                </View>
+                {searchOpen ? (
+                    <View style={styles.searchBar}>
+                        <TextInput
+                            style={styles.searchInput}
+                            placeholder="Search this chat"
+                            placeholderTextColor="#8A8A8E"
+                            value={searchQuery}
+                            onChangeText={(text) => {
+                                setSearchQuery(text);
+                                setActiveMatchId(null);
+                                setSeek(null);
+                            }}
+                            onSubmitEditing={() => setSeek({ olderThan: activeMatchId })}
+                            returnKeyType="search"
+                            autoFocus
+                        />
+                        {!!searchCountText && <Text style={styles.searchCount}>{searchCountText}</Text>}
+                        <TouchableOpacity
+                            style={styles.headerIcon}
+                            onPress={() => setSeek({ olderThan: activeMatchId })}
+                            disabled={!normalizedSearch || !!seek}
+                        >
+                            <MaterialIcons name="keyboard-arrow-up" size={26} color={normalizedSearch ? "#333" : "#BBB"} />
+                        </TouchableOpacity>
+                        <TouchableOpacity style={styles.headerIcon} onPress={showNewerMatch} disabled={activeMatchIndex <= 0}>
+                            <MaterialIcons name="keyboard-arrow-down" size={26} color={activeMatchIndex > 0 ? "#333" : "#BBB"} />
+                        </TouchableOpacity>
+                        <TouchableOpacity style={styles.headerIcon} onPress={closeSearch}>
+                            <MaterialIcons name="close" size={24} color="#333" />
+                        </TouchableOpacity>
+                    </View>
+                ) : (
+                    <>
+                        <TouchableOpacity
+                            style={styles.headerTitleContainer}
+                            disabled={!isGroup}
+                            onPress={() => router.push({ pathname: "/members", params: { chatId: chatDocId } })}
+                        >
+                            <Text style={styles.headerTitle} numberOfLines={1} ellipsizeMode="tail">
+                                {headerTitle}
+                            </Text>
+                            {presenceText && (
+                                <Text style={[styles.presenceText, (isRecipientTyping || recipientPresence?.state === "online") && styles.presenceOnline]}>
+                                    {presenceText}
+                                </Text>
+                            )}
+                            {vehicleName && <Text style={styles.vehicleContext} numberOfLines={1}>{vehicleName}</Text>}
+                            {bookingSummary && <Text style={styles.bookingContext} numberOfLines={1}>{bookingSummary}</Text>}
+                        </TouchableOpacity>
+                        <View style={styles.headerRightIcons}>
+                            <TouchableOpacity style={styles.headerIcon} onPress={() => setSearchOpen(true)}>
+                                <Ionicons name="search" size={24} color="#333" />
+                            </TouchableOpacity>
+                            {/* Calls are one-to-one only */}
+                            {!isGroup && (
+                                <>
+                                    <TouchableOpacity style={styles.headerIcon} onPress={() => handleStartCall("voice")}>
+                                        <Ionicons name="call" size={24} color="#333" />
+                                    </TouchableOpacity>
+                                    <TouchableOpacity style={styles.headerIcon} onPress={() => handleStartCall("video")}>
+                                        <Ionicons name="videocam" size={24} color="#333" />
+                                    </TouchableOpacity>
+                                </>
+                            )}
+                            {exporting && <ActivityIndicator size="small" color="#4285F4" style={styles.headerIcon} />}
+                            {chatDocId && !exporting && (
+                                <TouchableOpacity style={styles.headerIcon} onPress={() => setChatMenu("main")}>
+                                    <Ionicons name="ellipsis-vertical" size={22} color="#333" />
+                                </TouchableOpacity>
+                            )}
+                        </View>
+                    </>
+                )}
             </View>
 
+            {ownerBookingActions.length > 0 && !searchOpen && (
+                <View style={styles.bookingActions}>
+                    {bookingUpdating ? (
+                        <ActivityIndicator size="small" color="#4285F4" />
+                    ) : ownerBookingActions.map((action) => (
+                        <TouchableOpacity
+                            key={action.to}
+                            style={[styles.bookingActionButton, action.destructive && styles.bookingActionButtonDestructive]}
+                            onPress={() => handleBookingAction(action)}
+                        >
+                            <Text style={[styles.bookingActionText, action.destructive && styles.bookingActionTextDestructive]}>
+                                {action.label}
+                            </Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+            )}
+
             {/* GiftedChat Component */}
             <GiftedChat
-                messages={messages}
+                messages={displayedMessages}
                 onSend={onSend}
+                onPress={handleMessagePress}
+                onLongPress={handleMessageLongPress}
+                text={composerText}
+                renderChatFooter={() => (
+                    <>
+                        {(editingMessage || replyingTo) && (
+                            <View style={styles.composerBanner}>
+                                <MaterialIcons name={editingMessage ? "edit" : "reply"} size={20} color="#4285F4" />
+                                <View style={styles.composerBannerInfo}>
+                                    <Text style={styles.composerBannerTitle}>
+                                        {editingMessage ? "Editing message" : `Replying to ${replyingTo.user.name || "message"}`}
+                                    </Text>
+                                    <Text style={styles.composerBannerText} numberOfLines={1}>
+                                        {getMessagePreview(editingMessage || replyingTo)}
+                                    </Text>
+                                </View>
+                                <TouchableOpacity onPress={cancelComposerMode}>
+                                    <MaterialIcons name="close" size={20} color="#888" />
+                                </TouchableOpacity>
+                            </View>
+                        )}
+                        {pendingChoices.length > 0 && !editingMessage && (
+                            <View style={styles.composerBanner}>
+                                <MaterialIcons name="touch-app" size={20} color="#4285F4" />
+                                <View style={styles.composerBannerInfo}>
+                                    <Text style={styles.composerBannerTitle}>Answer choices</Text>
+                                    <Text style={styles.composerBannerText} numberOfLines={1}>{pendingChoices.join(" · ")}</Text>
+                                </View>
+                                <TouchableOpacity onPress={() => setPendingChoices([])}>
+                                    <MaterialIcons name="close" size={20} color="#888" />
+                                </TouchableOpacity>
+                            </View>
+                        )}
+                    </>
+                )}
+                onQuickReply={handleQuickReply}
+                // Only the other side answers; our own question just shows as a normal message
+                renderQuickReplies={(props) => (props.currentMessage.user._id === currentUser?.uid ? null : <QuickReplies {...props} />)}
+                loadEarlier={hasEarlierMessages}
+                onLoadEarlier={loadEarlierMessages}
+                isLoadingEarlier={loadingEarlier}
+                infiniteScroll
+                messageContainerRef={messageContainerRef}
+                listViewProps={{ onScrollToIndexFailed: handleScrollToIndexFailed }}
+                onInputTextChanged={handleInputTextChanged}
+                isTyping={isRecipientTyping}
                 user={{
                     _id: currentUser?.uid,
                     name: currentUser?.displayName || currentUser?.email,
                     avatar: currentUser?.profileImage || null,
                 }}
-                renderBubble={(props) => (
-                    <Bubble
-                        {...props}
-                        wrapperStyle={{
-                            left: {
-                                backgroundColor: '#E0E0E0', // Light grey for incoming messages
-                                marginVertical: 4,
-                            },
-                            right: {
-                                backgroundColor: '#4285F4', // Blue for outgoing messages
-                                marginVertical: 4,
-                            },
-                        }}
-                        textStyle={{
-                            left: {
-                                color: '#333',
-                            },
-                            right: {
-                                color: 'white',
-                            },
-                        }}
-                        timeTextStyle={{
-                            left: { color: '#888' },
-                            right: { color: '#D0D0D0' },
-                        }}
-                    />
+                renderBubble={(props) => {
+                    const message = props.currentMessage;
+                    const isOwn = props.position === "right";
+                    const bubble = (
+                        <Bubble
+                            {...props}
+                            wrapperStyle={{
+                                left: {
+                                    backgroundColor: '#E0E0E0', // Light grey for incoming messages
+                                    marginVertical: 4,
+                                },
+                                right: {
+                                    backgroundColor: '#4285F4', // Blue for outgoing messages
+                                    marginVertical: 4,
+                                },
+                            }}
+                            containerStyle={message._id === activeMatchId ? { left: styles.activeMatch, right: styles.activeMatch } : undefined}
+                            textStyle={{
+                                left: {
+                                    color: '#333',
+                                },
+                                right: {
+                                    color: 'white',
+                                },
+                            }}
+                            timeTextStyle={{
+                                left: { color: '#888' },
+                                right: { color: '#D0D0D0' },
+                            }}
+                            renderMessageText={message.deleted ? () => (
+                                <Text style={[styles.deletedText, isOwn && { color: '#D0D0D0' }]}>
+                                    {message.text}
+                                </Text>
+                            ) : searchMatches.includes(message) ? () => (
+                                <Text style={[styles.searchResultText, isOwn && { color: 'white' }]}>
+                                    {splitByMatches(message.text, normalizedSearch).map((part, index) => (
+                                        part.match
+                                            ? <Text key={index} style={styles.searchHighlight}>{part.text}</Text>
+                                            : part.text
+                                    ))}
+                                </Text>
+                            ) : undefined}
+                            renderTime={(timeProps) => (
+                                <View style={styles.timeRow}>
+                                    {message.edited && !message.deleted && (
+                                        <Text style={[styles.editedLabel, isOwn && { color: '#D0D0D0' }]}>edited</Text>
+                                    )}
+                                    <Time {...timeProps} />
+                                </View>
+                            )}
+                        />
+                    );
+
+                    const reactions = summarizeReactions(message.reactions, currentUser?.uid);
+                    if (!message.failed && reactions.length === 0) return bubble;
+                    return (
+                        <View style={[styles.bubbleContainer, isOwn ? styles.bubbleContainerRight : styles.bubbleContainerLeft]}>
+                            {bubble}
+                            {reactions.length > 0 && (
+                                <View style={styles.reactionRow}>
+                                    {reactions.map(({ emoji, count, mine }) => (
+                                        <TouchableOpacity
+                                            key={emoji}
+                                            style={[styles.reactionChip, mine && styles.reactionChipMine]}
+                                            onPress={() => handleReact(message, emoji)}
+                                        >
+                                            <Text style={styles.reactionChipText}>{count > 1 ? `${emoji} ${count}` : emoji}</Text>
+                                        </TouchableOpacity>
+                                    ))}
+                                </View>
+                            )}
+                            {message.failed && <Text style={styles.failedText}>Not sent. Tap to retry.</Text>}
+                        </View>
+                    );
+                }}
+                renderTicks={(message) => renderTicks(message, currentUser?.uid, otherParticipantIds)}
+                renderMessageImage={(props) => (
+                    <TouchableOpacity onPress={() => setViewerImage(props.currentMessage.image)}>
+                        <Image
+                            source={{ uri: props.currentMessage.image }}
+                            style={styles.messageImage}
+                            resizeMode="cover"
+                        />
+                    </TouchableOpacity>
+                )}
+                // Booking updates (posted by the postBookingStatusMessages/sendPickupReminders functions) open the booking
+                renderSystemMessage={(props) => (props.currentMessage.bookingId ? (
+                    <TouchableOpacity
+                        onPress={() => router.push({ pathname: "/history", params: { bookingId: props.currentMessage.bookingId } })}
+                    >
+                        <SystemMessage
+                            {...props}
+                            containerStyle={styles.bookingUpdate}
+                            wrapperStyle={styles.bookingUpdateWrapper}
+                            textStyle={styles.bookingUpdateText}
+                        />
+                    </TouchableOpacity>
+                ) : <SystemMessage {...props} />)}
+                renderCustomView={(props) => {
+                    const { file, replyTo, booking: sharedBooking, location } = props.currentMessage;
+                    if (!file && !replyTo && !sharedBooking && !location) return null;
+                    const isOwn = props.position === "right";
+                    return (
+                        <View>
+                            {location && (
+                                <LocationCard
+                                    location={location}
+                                    isOwn={isOwn}
+                                    onStop={() => stopLiveLocation(chatDocId, props.currentMessage._id)}
+                                />
+                            )}
+                            {sharedBooking && (
+                                <BookingCard
+                                    booking={sharedBooking}
+                                    isOwn={isOwn}
+                                    onPress={() => router.push({ pathname: "/history", params: { bookingId: sharedBooking.bookingId } })}
+                                />
+                            )}
+                            {replyTo && (
+                                <View style={[styles.replyQuote, isOwn && styles.replyQuoteOwn]}>
+                                    <Text style={[styles.replyQuoteName, isOwn && { color: "white" }]} numberOfLines={1}>
+                                        {replyTo.senderName}
+                                    </Text>
+                                    <Text style={[styles.replyQuoteText, isOwn && { color: "#E3F2FD" }]} numberOfLines={2}>
+                                        {getQuoteText(replyTo)}
+                                    </Text>
+                                </View>
+                            )}
+                            {file && (
+                                <TouchableOpacity style={styles.fileAttachment} onPress={() => Linking.openURL(file.url)}>
+                                    <Ionicons name="document-attach" size={28} color={isOwn ? "white" : "#4285F4"} />
+                                    <View style={styles.fileAttachmentInfo}>
+                                        <Text style={[styles.fileName, isOwn && { color: "white" }]} numberOfLines={1}>
+                                            {file.name || "Document"}
+                                        </Text>
+                                        {!!file.size && (
+                                            <Text style={[styles.fileSize, isOwn && { color: "#D0D0D0" }]}>
+                                                {formatFileSize(file.size)}
+                                            </Text>
+                                        )}
+                                    </View>
+                                </TouchableOpacity>
+                            )}
+                        </View>
+                    );
+                }}
+                disableComposer={!chatDocId}
+                renderActions={(props) => chatDocId && (
+                    <View style={styles.actionsRow}>
+                        <Actions
+                            {...props}
+                            containerStyle={styles.actionsContainer}
+                            icon={() => <Ionicons name="attach" size={24} color="#4285F4" />}
+                            options={{
+                                "Choose Photo": () => handlePickImage(false),
+                                "Take Photo": () => handlePickImage(true),
+                                "Send Document": handlePickDocument,
+                                "Share Booking": openBookingPicker,
+                                "Send Location": sendCurrentLocation,
+                                "Meeting Point": openMeetingPointPicker,
+                                "Share Live Location": chooseLiveLocationDuration,
+                                Cancel: () => {},
+                            }}
+                            optionTintColor="#4285F4"
+                        />
+                        <TouchableOpacity style={styles.savedRepliesButton} onPress={() => setSavedRepliesOpen(true)}>
+                            <Ionicons name="flash-outline" size={22} color="#4285F4" />
+                        </TouchableOpacity>
+                    </View>
+                )}
+                renderFooter={() => uploadProgress !== null && (
+                    <View style={styles.uploadFooter}>
+                        <Text style={styles.uploadText}>Uploading attachment… {Math.round(uploadProgress * 100)}%</Text>
+                        <View style={styles.uploadTrack}>
+                            <View style={[styles.uploadBar, { width: `${Math.round(uploadProgress * 100)}%` }]} />
+                        </View>
+                    </View>
                 )}
-                renderInputToolbar={(props) => (
+                renderInputToolbar={(props) => (isBlocked ? (
+                    <View style={styles.blockedBanner}>
+                        <Text style={styles.blockedBannerText}>
+                            {blockStatus.blockedByMe ? "You blocked this user." : "You can't reply to this conversation."}
+                        </Text>
+                        {blockStatus.blockedByMe && (
+                            <TouchableOpacity onPress={handleToggleBlock}>
+                                <Text style={styles.blockedBannerAction}>Unblock</Text>
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                ) : (
                     <InputToolbar
                         {...props}
                         containerStyle={styles.inputToolbar}
                         primaryStyle={styles.inputToolbarPrimary}
                     />
-                )}
+                ))}
                 textInputStyle={styles.textInput}
                 renderAvatar={null} // Hide avatars inside message bubbles for a cleaner look if preferred
                 showUserAvatar={false}
                 showAvatarForEveryMessage={true}
-                renderUsernameOnMessage={false}
+                renderUsernameOnMessage={isGroup} // With more than two people, show who sent each message
                 scrollToBottom
                 scrollToBottomComponent={() => (
                     <MaterialIcons name="keyboard-arrow-down" size={30} color="#888" />
@@ -299,6 +1767,306 @@ const ChatScreen = () => {
                     </View>
                 )}
             />
+
+            {/* Emoji reaction picker */}
+            <Modal
+                visible={!!reactionTarget}
+                transparent={true}
+                animationType="fade"
+                onRequestClose={() => setReactionTarget(null)}
+            >
+                <TouchableOpacity style={styles.reactionOverlay} activeOpacity={1} onPress={() => setReactionTarget(null)}>
+                    <View style={styles.reactionPicker}>
+                        {REACTION_EMOJIS.map((emoji) => (
+                            <TouchableOpacity key={emoji} style={styles.reactionOption} onPress={() => handleReact(reactionTarget, emoji)}>
+                                <Text style={styles.reactionOptionText}>{emoji}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                </TouchableOpacity>
+            </Modal>
+
+            {/* Conversation menu */}
+            <Modal
+                visible={!!chatMenu}
+                transparent={true}
+                animationType="slide"
+                onRequestClose={() => setChatMenu(null)}
+            >
+                <TouchableOpacity style={styles.sheetOverlay} activeOpacity={1} onPress={() => setChatMenu(null)}>
+                    <View style={styles.sheet}>
+                        <Text style={styles.sheetTitle} numberOfLines={1}>
+                            {chatMenu === "mute" ? "Mute notifications" : headerTitle}
+                        </Text>
+                        {(chatMenu === "mute" ? muteMenuItems : chatMenuItems).map((item) => (
+                            <TouchableOpacity
+                                key={item.label}
+                                style={styles.chatMenuItem}
+                                onPress={() => {
+                                    if (!item.keepOpen) setChatMenu(null);
+                                    item.run();
+                                }}
+                            >
+                                <MaterialIcons name={item.icon} size={22} color={item.destructive ? "#E53935" : "#555"} />
+                                <Text style={[styles.chatMenuText, item.destructive && styles.chatMenuDestructive]}>{item.label}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                </TouchableOpacity>
+            </Modal>
+
+            {/* Saved replies: pick one to insert, or add/edit them */}
+            <Modal
+                visible={savedRepliesOpen}
+                transparent={true}
+                animationType="slide"
+                onRequestClose={() => (savedReplyForm ? setSavedReplyForm(null) : setSavedRepliesOpen(false))}
+            >
+                <View style={styles.sheetOverlay}>
+                    <View style={[styles.sheet, styles.bookingPicker]}>
+                        {savedReplyForm ? (
+                            <>
+                                <Text style={styles.sheetTitle}>{savedReplyForm.id ? "Edit saved reply" : "New saved reply"}</Text>
+                                <TextInput
+                                    style={styles.savedReplyInput}
+                                    placeholder="Title (e.g. Pickup directions)"
+                                    placeholderTextColor="#8A8A8E"
+                                    value={savedReplyForm.title}
+                                    onChangeText={(title) => setSavedReplyForm({ ...savedReplyForm, title })}
+                                />
+                                <TextInput
+                                    style={[styles.savedReplyInput, styles.savedReplyTextInput]}
+                                    placeholder="Hi {renterName}, you can pick up the {vehicleName} at {pickupLocation}."
+                                    placeholderTextColor="#8A8A8E"
+                                    value={savedReplyForm.text}
+                                    onChangeText={(text) => setSavedReplyForm({ ...savedReplyForm, text })}
+                                    multiline
+                                />
+                                <View style={styles.placeholderRow}>
+                                    {TEMPLATE_PLACEHOLDERS.map((placeholder) => (
+                                        <TouchableOpacity
+                                            key={placeholder}
+                                            style={styles.placeholderChip}
+                                            onPress={() => setSavedReplyForm({ ...savedReplyForm, text: `${savedReplyForm.text}{${placeholder}}` })}
+                                        >
+                                            <Text style={styles.placeholderChipText}>{`{${placeholder}}`}</Text>
+                                        </TouchableOpacity>
+                                    ))}
+                                </View>
+                                <TextInput
+                                    style={styles.savedReplyInput}
+                                    placeholder="Answer choices, comma separated (optional, e.g. Yes, No)"
+                                    placeholderTextColor="#8A8A8E"
+                                    value={savedReplyForm.choices}
+                                    onChangeText={(choices) => setSavedReplyForm({ ...savedReplyForm, choices })}
+                                />
+                                <View style={styles.sheetButtons}>
+                                    <TouchableOpacity style={styles.sheetButton} onPress={() => setSavedReplyForm(null)}>
+                                        <Text style={styles.sheetCancelText}>Cancel</Text>
+                                    </TouchableOpacity>
+                                    <TouchableOpacity style={[styles.sheetButton, styles.sheetPrimaryButton]} onPress={saveSavedReply}>
+                                        <Text style={styles.sheetSubmitText}>Save</Text>
+                                    </TouchableOpacity>
+                                </View>
+                            </>
+                        ) : (
+                            <>
+                                <View style={styles.bookingPickerHeader}>
+                                    <Text style={styles.sheetTitle}>Saved replies</Text>
+                                    <TouchableOpacity onPress={() => setSavedRepliesOpen(false)}>
+                                        <MaterialIcons name="close" size={24} color="#888" />
+                                    </TouchableOpacity>
+                                </View>
+                                <FlatList
+                                    data={savedReplies}
+                                    keyExtractor={(item) => item.id}
+                                    renderItem={({ item }) => (
+                                        <TouchableOpacity
+                                            style={styles.savedReplyItem}
+                                            onPress={() => insertSavedReply(item)}
+                                            onLongPress={() => confirmDeleteSavedReply(item)}
+                                        >
+                                            <View style={styles.savedReplyInfo}>
+                                                <Text style={styles.savedReplyTitle}>{item.title}</Text>
+                                                <Text style={styles.savedReplyPreview} numberOfLines={2}>
+                                                    {fillTemplate(item.text, templateValues)}
+                                                </Text>
+                                                {item.choices?.length > 0 && (
+                                                    <Text style={styles.savedReplyChoices}>Choices: {item.choices.join(" · ")}</Text>
+                                                )}
+                                            </View>
+                                            <TouchableOpacity
+                                                onPress={() => setSavedReplyForm({
+                                                    id: item.id,
+                                                    title: item.title,
+                                                    text: item.text,
+                                                    choices: (item.choices || []).join(", "),
+                                                })}
+                                            >
+                                                <MaterialIcons name="edit" size={20} color="#888" />
+                                            </TouchableOpacity>
+                                        </TouchableOpacity>
+                                    )}
+                                    ListEmptyComponent={() => (
+                                        <Text style={styles.bookingPickerEmpty}>
+                                            Save answers to common questions and insert them here with one tap.
+                                        </Text>
+                                    )}
+                                />
+                                <TouchableOpacity
+                                    style={[styles.sheetButton, styles.sheetPrimaryButton, styles.newSavedReplyButton]}
+                                    onPress={() => setSavedReplyForm({ title: "", text: "", choices: "" })}
+                                >
+                                    <Text style={styles.sheetSubmitText}>New saved reply</Text>
+                                </TouchableOpacity>
+                            </>
+                        )}
+                    </View>
+                </View>
+            </Modal>
+
+            {/* Booking picker for sharing a booking card */}
+            <Modal
+                visible={shareableBookings !== null}
+                transparent={true}
+                animationType="slide"
+                onRequestClose={() => setShareableBookings(null)}
+            >
+                <View style={styles.sheetOverlay}>
+                    <View style={[styles.sheet, styles.bookingPicker]}>
+                        <View style={styles.bookingPickerHeader}>
+                            <Text style={styles.sheetTitle}>Share a booking</Text>
+                            <TouchableOpacity onPress={() => setShareableBookings(null)}>
+                                <MaterialIcons name="close" size={24} color="#888" />
+                            </TouchableOpacity>
+                        </View>
+                        <FlatList
+                            data={shareableBookings || []}
+                            keyExtractor={(item) => item.bookingId}
+                            renderItem={({ item }) => (
+                                <View style={styles.bookingPickerItem}>
+                                    <BookingCard booking={item} isOwn={false} onPress={() => shareBooking(item)} />
+                                </View>
+                            )}
+                            ListEmptyComponent={() => (
+                                <Text style={styles.bookingPickerEmpty}>You don't have any bookings yet.</Text>
+                            )}
+                        />
+                    </View>
+                </View>
+            </Modal>
+
+            {/* Meeting point picker: tap the map or drag the pin */}
+            <Modal
+                visible={!!meetingPoint}
+                transparent={true}
+                animationType="slide"
+                onRequestClose={() => setMeetingPoint(null)}
+            >
+                <View style={styles.sheetOverlay}>
+                    <View style={styles.sheet}>
+                        <Text style={styles.sheetTitle}>Meeting point</Text>
+                        {meetingPoint && (
+                            <>
+                                <MapView
+                                    style={styles.meetingPointMap}
+                                    initialRegion={{
+                                        latitude: meetingPoint.latitude,
+                                        longitude: meetingPoint.longitude,
+                                        latitudeDelta: 0.01,
+                                        longitudeDelta: 0.01,
+                                    }}
+                                    onPress={(event) => moveMeetingPoint(event.nativeEvent.coordinate)}
+                                >
+                                    <Marker
+                                        coordinate={{ latitude: meetingPoint.latitude, longitude: meetingPoint.longitude }}
+                                        draggable
+                                        onDragEnd={(event) => moveMeetingPoint(event.nativeEvent.coordinate)}
+                                    />
+                                </MapView>
+                                <TextInput
+                                    style={styles.savedReplyInput}
+                                    placeholder="Address or directions (e.g. Car park entrance, level 2)"
+                                    placeholderTextColor="#8A8A8E"
+                                    value={meetingPoint.address}
+                                    onChangeText={(address) => setMeetingPoint({ ...meetingPoint, address })}
+                                />
+                                <Text style={styles.meetingPointCoordinates}>{formatCoordinates(meetingPoint)}</Text>
+                            </>
+                        )}
+                        <View style={styles.sheetButtons}>
+                            <TouchableOpacity style={styles.sheetButton} onPress={() => setMeetingPoint(null)}>
+                                <Text style={styles.sheetCancelText}>Cancel</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity style={[styles.sheetButton, styles.sheetPrimaryButton]} onPress={sendMeetingPoint}>
+                                <Text style={styles.sheetSubmitText}>Send</Text>
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                </View>
+            </Modal>
+
+            {/* Report form */}
+            <Modal
+                visible={!!reportTarget}
+                transparent={true}
+                animationType="slide"
+                onRequestClose={() => setReportTarget(null)}
+            >
+                <View style={styles.sheetOverlay}>
+                    <View style={styles.sheet}>
+                        <Text style={styles.sheetTitle}>
+                            {reportTarget?.message ? "Report message" : `Report ${reportTarget?.userName || "user"}`}
+                        </Text>
+                        {reportTarget?.message && (
+                            <Text style={styles.reportQuote} numberOfLines={3}>{getMessagePreview(reportTarget.message)}</Text>
+                        )}
+                        {REPORT_REASONS.map((reason) => (
+                            <TouchableOpacity key={reason} style={styles.reportReason} onPress={() => setReportReason(reason)}>
+                                <MaterialIcons
+                                    name={reportReason === reason ? "radio-button-checked" : "radio-button-unchecked"}
+                                    size={22}
+                                    color="#4285F4"
+                                />
+                                <Text style={styles.reportReasonText}>{reason}</Text>
+                            </TouchableOpacity>
+                        ))}
+                        <TextInput
+                            style={styles.reportDetailsInput}
+                            placeholder="Anything else we should know? (optional)"
+                            placeholderTextColor="#8A8A8E"
+                            value={reportDetails}
+                            onChangeText={setReportDetails}
+                            multiline
+                        />
+                        <View style={styles.sheetButtons}>
+                            <TouchableOpacity style={styles.sheetButton} onPress={() => setReportTarget(null)}>
+                                <Text style={styles.sheetCancelText}>Cancel</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity style={[styles.sheetButton, styles.reportSubmitButton]} onPress={submitReport}>
+                                <Text style={styles.sheetSubmitText}>Send report</Text>
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                </View>
+            </Modal>
+
+            {/* Full-screen image viewer */}
+            <Modal
+                visible={!!viewerImage}
+                transparent={true}
+                animationType="fade"
+                onRequestClose={() => setViewerImage(null)}
+            >
+                <View style={styles.viewerOverlay}>
+                    <TouchableOpacity style={styles.viewerClose} onPress={() => setViewerImage(null)}>
+                        <MaterialIcons name="close" size={30} color="white" />
+                    </TouchableOpacity>
+                    {viewerImage && (
+                        <Image source={{ uri: viewerImage }} style={styles.viewerImage} resizeMode="contain" />
+                    )}
+                </View>
+            </Modal>
         </SafeAreaView>
     );
 };
@@ -373,15 +2141,93 @@ const styles = StyleSheet.create({
         color: "#333",
         maxWidth: '80%', // Limit width for long names
     },
+    presenceText: {
+        fontSize: 12,
+        color: "#888",
+        marginTop: 1,
+    },
+    presenceOnline: {
+        color: "#4CAF50",
+    },
     vehicleContext: {
         fontSize: 13,
         color: "#777",
         marginTop: 2,
     },
+    bookingContext: {
+        fontSize: 12,
+        color: "#4285F4",
+        marginTop: 1,
+    },
+    bookingActions: {
+        flexDirection: "row",
+        justifyContent: "flex-end",
+        gap: 10,
+        paddingHorizontal: 15,
+        paddingVertical: 8,
+        backgroundColor: "white",
+        borderBottomColor: "#E0E0E0",
+        borderBottomWidth: 1,
+    },
+    bookingActionButton: {
+        paddingHorizontal: 14,
+        paddingVertical: 6,
+        borderRadius: 16,
+        backgroundColor: "#4285F4",
+    },
+    bookingActionButtonDestructive: {
+        backgroundColor: "white",
+        borderColor: "#F44336",
+        borderWidth: 1,
+    },
+    bookingActionText: {
+        color: "white",
+        fontWeight: "600",
+    },
+    bookingActionTextDestructive: {
+        color: "#F44336",
+    },
     headerRightIcons: {
         flexDirection: "row",
         gap: 10,
     },
+    searchBar: {
+        flex: 1,
+        flexDirection: "row",
+        alignItems: "center",
+        marginLeft: 5,
+    },
+    searchInput: {
+        flex: 1,
+        color: "#333",
+        fontSize: 16,
+        backgroundColor: "#F0F0F0",
+        borderRadius: 20,
+        paddingHorizontal: 12,
+        paddingVertical: Platform.OS === 'ios' ? 8 : 5,
+    },
+    searchCount: {
+        fontSize: 12,
+        color: "#777",
+        marginHorizontal: 6,
+    },
+    searchResultText: {
+        fontSize: 16,
+        lineHeight: 20,
+        color: '#333',
+        marginHorizontal: 10,
+        marginTop: 5,
+        marginBottom: 5,
+    },
+    searchHighlight: {
+        backgroundColor: '#FFEB3B',
+        color: '#333',
+    },
+    activeMatch: {
+        borderRadius: 15,
+        borderWidth: 2,
+        borderColor: '#FBC02D',
+    },
     // GiftedChat specific styles
     inputToolbar: {
         backgroundColor: 'white',
@@ -400,6 +2246,482 @@ const styles = StyleSheet.create({
         lineHeight: 20, // Ensure consistent line height
         alignSelf: 'center',
     },
+    bubbleContainer: {
+        flex: 1,
+    },
+    bubbleContainerLeft: {
+        alignItems: 'flex-start',
+    },
+    bubbleContainerRight: {
+        alignItems: 'flex-end',
+    },
+    failedText: {
+        fontSize: 12,
+        color: '#F44336',
+        marginRight: 10,
+        marginBottom: 4,
+    },
+    deletedText: {
+        fontStyle: 'italic',
+        color: '#777',
+        marginHorizontal: 10,
+        marginTop: 6,
+        marginBottom: 4,
+    },
+    timeRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    editedLabel: {
+        fontSize: 10,
+        color: '#888',
+        marginLeft: 10,
+    },
+    reactionRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        marginTop: -6,
+        marginBottom: 4,
+        marginHorizontal: 8,
+    },
+    reactionChip: {
+        backgroundColor: 'white',
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: '#E0E0E0',
+        paddingHorizontal: 6,
+        paddingVertical: 2,
+        marginRight: 4,
+    },
+    reactionChipMine: {
+        borderColor: '#4285F4',
+        backgroundColor: '#E3F2FD',
+    },
+    reactionChipText: {
+        fontSize: 13,
+    },
+    reactionOverlay: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    },
+    reactionPicker: {
+        flexDirection: 'row',
+        backgroundColor: 'white',
+        borderRadius: 30,
+        paddingHorizontal: 10,
+        paddingVertical: 8,
+        elevation: 5,
+    },
+    reactionOption: {
+        paddingHorizontal: 6,
+    },
+    reactionOptionText: {
+        fontSize: 30,
+    },
+    replyQuote: {
+        borderLeftWidth: 3,
+        borderLeftColor: '#4285F4',
+        backgroundColor: 'rgba(0, 0, 0, 0.05)',
+        borderRadius: 6,
+        marginHorizontal: 8,
+        marginTop: 8,
+        paddingHorizontal: 8,
+        paddingVertical: 4,
+    },
+    replyQuoteOwn: {
+        borderLeftColor: 'white',
+        backgroundColor: 'rgba(255, 255, 255, 0.15)',
+    },
+    replyQuoteName: {
+        fontSize: 12,
+        fontWeight: 'bold',
+        color: '#4285F4',
+    },
+    replyQuoteText: {
+        fontSize: 13,
+        color: '#555',
+    },
+    composerBanner: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: 'white',
+        borderTopColor: '#E0E0E0',
+        borderTopWidth: 1,
+        paddingHorizontal: 15,
+        paddingVertical: 8,
+    },
+    composerBannerInfo: {
+        flex: 1,
+        marginHorizontal: 10,
+    },
+    composerBannerTitle: {
+        fontSize: 13,
+        fontWeight: 'bold',
+        color: '#4285F4',
+    },
+    composerBannerText: {
+        fontSize: 13,
+        color: '#666',
+    },
+    tickContainer: {
+        marginRight: 8,
+        marginBottom: 2,
+    },
+    actionsContainer: {
+        alignItems: 'center',
+        justifyContent: 'center',
+        marginLeft: 4,
+        marginBottom: 0,
+    },
+    // Attachment styles
+    messageImage: {
+        width: 200,
+        height: 150,
+        borderRadius: 12,
+        margin: 3,
+    },
+    bookingCard: {
+        flexDirection: 'row',
+        width: 250,
+        margin: 6,
+        borderRadius: 10,
+        backgroundColor: 'white',
+        overflow: 'hidden',
+    },
+    bookingCardOwn: {
+        borderWidth: 1,
+        borderColor: '#E3F2FD',
+    },
+    bookingCardImage: {
+        width: 80,
+        backgroundColor: '#E0E0E0',
+    },
+    bookingCardInfo: {
+        flex: 1,
+        padding: 8,
+    },
+    bookingCardTitle: {
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#333',
+    },
+    bookingCardDetail: {
+        fontSize: 12,
+        color: '#666',
+        marginTop: 2,
+    },
+    bookingCardFooter: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginTop: 6,
+    },
+    bookingCardPrice: {
+        fontSize: 13,
+        fontWeight: 'bold',
+        color: '#333',
+    },
+    bookingCardStatus: {
+        fontSize: 12,
+        fontWeight: 'bold',
+        color: '#4285F4',
+    },
+    bookingUpdate: {
+        marginVertical: 6,
+    },
+    bookingUpdateWrapper: {
+        backgroundColor: '#E3F2FD',
+        borderRadius: 12,
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+    },
+    bookingUpdateText: {
+        fontSize: 13,
+        color: '#1565C0',
+        textAlign: 'center',
+    },
+    locationCard: {
+        flexDirection: 'column',
+        padding: 8,
+    },
+    locationCardHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 2,
+    },
+    locationCardTitle: {
+        flex: 1,
+        marginLeft: 6,
+    },
+    locationLiveText: {
+        color: '#34A853',
+        fontWeight: 'bold',
+    },
+    locationStopText: {
+        fontSize: 12,
+        fontWeight: 'bold',
+        color: '#E53935',
+    },
+    meetingPointMap: {
+        height: 260,
+        borderRadius: 10,
+        marginTop: 10,
+    },
+    meetingPointCoordinates: {
+        fontSize: 12,
+        color: '#888',
+        marginTop: 6,
+    },
+    bookingPicker: {
+        maxHeight: '70%',
+    },
+    bookingPickerHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+    },
+    bookingPickerItem: {
+        alignItems: 'center',
+        backgroundColor: '#F0F0F0',
+        borderRadius: 12,
+        marginBottom: 8,
+    },
+    bookingPickerEmpty: {
+        fontSize: 15,
+        color: '#888',
+        textAlign: 'center',
+        paddingVertical: 20,
+    },
+    fileAttachment: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 10,
+        paddingTop: 8,
+        maxWidth: 240,
+    },
+    fileAttachmentInfo: {
+        marginLeft: 8,
+        flexShrink: 1,
+    },
+    fileName: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: '#333',
+    },
+    fileSize: {
+        fontSize: 12,
+        color: '#888',
+        marginTop: 2,
+    },
+    uploadFooter: {
+        paddingHorizontal: 15,
+        paddingVertical: 8,
+    },
+    uploadText: {
+        fontSize: 12,
+        color: '#777',
+        marginBottom: 4,
+    },
+    uploadTrack: {
+        height: 4,
+        borderRadius: 2,
+        backgroundColor: '#E0E0E0',
+        overflow: 'hidden',
+    },
+    uploadBar: {
+        height: 4,
+        backgroundColor: '#4285F4',
+    },
+    blockedBanner: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        backgroundColor: 'white',
+        borderTopColor: '#E0E0E0',
+        borderTopWidth: 1,
+        paddingVertical: 14,
+        paddingHorizontal: 15,
+    },
+    blockedBannerText: {
+        color: '#777',
+        fontSize: 14,
+    },
+    blockedBannerAction: {
+        color: '#4285F4',
+        fontWeight: 'bold',
+        fontSize: 14,
+        marginLeft: 10,
+    },
+    sheetOverlay: {
+        flex: 1,
+        justifyContent: 'flex-end',
+        backgroundColor: 'rgba(0,0,0,0.4)',
+    },
+    sheet: {
+        backgroundColor: 'white',
+        borderTopLeftRadius: 16,
+        borderTopRightRadius: 16,
+        padding: 20,
+    },
+    sheetTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#333',
+        marginBottom: 10,
+    },
+    chatMenuItem: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 12,
+    },
+    chatMenuText: {
+        fontSize: 16,
+        color: '#333',
+        marginLeft: 14,
+    },
+    chatMenuDestructive: {
+        color: '#E53935',
+    },
+    reportQuote: {
+        fontSize: 14,
+        color: '#555',
+        backgroundColor: '#F0F0F0',
+        borderRadius: 8,
+        padding: 10,
+        marginBottom: 10,
+    },
+    reportReason: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 8,
+    },
+    reportReasonText: {
+        fontSize: 15,
+        color: '#333',
+        marginLeft: 10,
+    },
+    reportDetailsInput: {
+        minHeight: 60,
+        borderWidth: 1,
+        borderColor: '#E0E0E0',
+        borderRadius: 8,
+        padding: 10,
+        marginTop: 10,
+        color: '#333',
+        textAlignVertical: 'top',
+    },
+    sheetButtons: {
+        flexDirection: 'row',
+        justifyContent: 'flex-end',
+        marginTop: 15,
+    },
+    sheetButton: {
+        paddingVertical: 10,
+        paddingHorizontal: 16,
+        borderRadius: 8,
+        marginLeft: 10,
+    },
+    reportSubmitButton: {
+        backgroundColor: '#F44336',
+    },
+    sheetCancelText: {
+        color: '#555',
+        fontWeight: 'bold',
+    },
+    sheetPrimaryButton: {
+        backgroundColor: '#4285F4',
+    },
+    actionsRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    savedRepliesButton: {
+        paddingHorizontal: 4,
+        paddingBottom: Platform.OS === 'ios' ? 6 : 8,
+        alignSelf: 'flex-end',
+    },
+    savedReplyItem: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 10,
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: '#EEE',
+    },
+    savedReplyInfo: {
+        flex: 1,
+        marginRight: 10,
+    },
+    savedReplyTitle: {
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#333',
+    },
+    savedReplyPreview: {
+        fontSize: 13,
+        color: '#666',
+        marginTop: 2,
+    },
+    savedReplyChoices: {
+        fontSize: 12,
+        color: '#4285F4',
+        marginTop: 2,
+    },
+    savedReplyInput: {
+        borderWidth: 1,
+        borderColor: '#E0E0E0',
+        borderRadius: 8,
+        padding: 10,
+        marginTop: 10,
+        color: '#333',
+    },
+    savedReplyTextInput: {
+        minHeight: 80,
+        textAlignVertical: 'top',
+    },
+    placeholderRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 6,
+        marginTop: 8,
+    },
+    placeholderChip: {
+        backgroundColor: '#E3F2FD',
+        borderRadius: 12,
+        paddingVertical: 4,
+        paddingHorizontal: 8,
+    },
+    placeholderChipText: {
+        fontSize: 12,
+        color: '#1565C0',
+    },
+    newSavedReplyButton: {
+        alignItems: 'center',
+        marginLeft: 0,
+        marginTop: 10,
+    },
+    sheetSubmitText: {
+        color: 'white',
+        fontWeight: 'bold',
+    },
+    viewerOverlay: {
+        flex: 1,
+        backgroundColor: 'black',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    viewerClose: {
+        position: 'absolute',
+        top: Platform.OS === 'ios' ? 50 : 20,
+        right: 20,
+        zIndex: 1,
+        padding: 5,
+    },
+    viewerImage: {
+        width: '100%',
+        height: '80%',
+    },
     // If you decide to customize send button or other parts of InputToolbar,
     // you'd add styles here and pass them via renderSend, renderCompser etc.
 });
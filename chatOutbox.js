@@ -0,0 +1,176 @@
+import { db } from "@/firebase";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import NetInfo from "@react-native-community/netinfo";
+import { doc, increment, runTransaction, serverTimestamp } from "firebase/firestore";
+import { getMessageSearchText, getSearchKeywords } from "./chatService";
+
+// Local outbox for chat messages. Messages are shown as "pending" straight away, kept in
+// AsyncStorage until Firestore has them (so they survive an app restart) and retried when
+// the connection comes back. Each entry looks like:
+// { id, chatId, chatInit, recipientIds, sender, fields, previewText, createdAt, status, attempts }
+// where status is "pending" | "sending" | "failed".
+
+const STORAGE_KEY = "chatOutbox";
+const MAX_AUTOMATIC_ATTEMPTS = 3; // After this many online failures the user has to tap "retry"
+const RETRY_DELAY_MS = 5000;
+
+let entries = [];
+let loadPromise = null;
+let flushing = false;
+let isConnected = true;
+let retryTimeout = null;
+const listeners = new Set();
+
+const persist = () => {
+    AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(entries))
+        .catch((error) => console.error("Error saving chat outbox:", error));
+};
+
+const setEntries = (nextEntries) => {
+    entries = nextEntries;
+    persist();
+    listeners.forEach((listener) => listener(entries));
+};
+
+const updateEntry = (id, changes) => {
+    setEntries(entries.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry)));
+};
+
+// Writes the message, the chat's last-message fields and (for a first message) the chat itself in one
+// transaction. The message id is generated on the device, so if an earlier attempt actually reached the
+// server and only the acknowledgement got lost, the retry finds the message and writes nothing twice.
+const deliver = (entry) => {
+    const chatRef = doc(db, "chats", entry.chatId);
+    const messageRef = doc(chatRef, "messages", entry.id);
+
+    return runTransaction(db, async (transaction) => {
+        const messageSnap = await transaction.get(messageRef);
+        if (messageSnap.exists()) return;
+        const chatSnap = await transaction.get(chatRef);
+
+        transaction.set(messageRef, {
+            ...entry.fields,
+            searchKeywords: getSearchKeywords(getMessageSearchText(entry.fields)),
+            createdAt: serverTimestamp(),
+            senderId: entry.sender.uid,
+            senderName: entry.sender.name,
+            senderImage: entry.sender.image,
+            // The sender has obviously seen their own message
+            deliveredTo: [entry.sender.uid],
+            readBy: [entry.sender.uid],
+        });
+
+        const lastMessage = {
+            lastMessageText: entry.previewText,
+            lastMessageTimestamp: serverTimestamp(),
+            lastMessageSenderId: entry.sender.uid,
+            lastMessageId: entry.id, // Lets edits/deletes know when the preview needs updating
+        };
+
+        if (!chatSnap.exists() && !entry.chatInit) {
+            // Group chats are created up front, so a missing document means it's gone
+            throw new Error("This conversation no longer exists.");
+        }
+
+        if (chatSnap.exists()) {
+            const unreadIncrements = {};
+            entry.recipientIds.forEach((uid) => {
+                unreadIncrements[`unreadCounts.${uid}`] = increment(1);
+            });
+            transaction.update(chatRef, { ...lastMessage, ...unreadIncrements });
+        } else {
+            const unreadCounts = { [entry.sender.uid]: 0 };
+            entry.recipientIds.forEach((uid) => {
+                unreadCounts[uid] = 1;
+            });
+            transaction.set(chatRef, {
+                ...entry.chatInit,
+                createdAt: serverTimestamp(),
+                ...lastMessage,
+                unreadCounts,
+            });
+        }
+    });
+};
+
+// Sends pending entries oldest first so messages keep their order in the thread
+export const flushOutbox = async () => {
+    if (flushing) return;
+    flushing = true;
+    clearTimeout(retryTimeout);
+
+    const attempted = new Set();
+    try {
+        while (isConnected) {
+            const next = entries
+                .filter((entry) => entry.status === "pending" && !attempted.has(entry.id))
+                .sort((a, b) => a.createdAt - b.createdAt)[0];
+            if (!next) break;
+
+            attempted.add(next.id);
+            updateEntry(next.id, { status: "sending" });
+            try {
+                await deliver(next);
+                setEntries(entries.filter((entry) => entry.id !== next.id));
+            } catch (error) {
+                console.error("Error sending chat message:", error);
+                const attempts = next.attempts + 1;
+                // While offline a failure is expected, so the entry just waits for the connection
+                const failed = isConnected && attempts >= MAX_AUTOMATIC_ATTEMPTS;
+                updateEntry(next.id, { attempts, status: failed ? "failed" : "pending" });
+            }
+        }
+    } finally {
+        flushing = false;
+    }
+
+    if (isConnected && entries.some((entry) => entry.status === "pending")) {
+        retryTimeout = setTimeout(flushOutbox, RETRY_DELAY_MS);
+    }
+};
+
+// Loads the saved outbox and starts watching the connection. Safe to call from every screen.
+export const initOutbox = () => {
+    if (loadPromise) return loadPromise;
+
+    NetInfo.addEventListener((state) => {
+        const wasConnected = isConnected;
+        isConnected = !!state.isConnected && state.isInternetReachable !== false;
+        if (isConnected && !wasConnected) flushOutbox();
+    });
+
+    loadPromise = AsyncStorage.getItem(STORAGE_KEY)
+        .then((saved) => {
+            // Anything still marked "sending" was cut off by the app closing
+            const savedEntries = (saved ? JSON.parse(saved) : [])
+                .map((entry) => (entry.status === "sending" ? { ...entry, status: "pending" } : entry));
+            // Keep anything queued before loading finished
+            setEntries([...savedEntries, ...entries.filter((entry) => !savedEntries.some((savedEntry) => savedEntry.id === entry.id))]);
+        })
+        .catch((error) => console.error("Error loading chat outbox:", error))
+        .then(flushOutbox);
+
+    return loadPromise;
+};
+
+export const enqueueMessage = (entry) => {
+    setEntries([...entries, { ...entry, status: "pending", attempts: 0 }]);
+    flushOutbox();
+};
+
+export const retryMessage = (id) => {
+    updateEntry(id, { status: "pending", attempts: 0 });
+    flushOutbox();
+};
+
+export const discardMessage = (id) => {
+    setEntries(entries.filter((entry) => entry.id !== id));
+};
+
+// Calls back with the outbox entries of one chat whenever the outbox changes
+export const subscribeToOutbox = (chatId, callback) => {
+    const listener = (allEntries) => callback(allEntries.filter((entry) => entry.chatId === chatId));
+    listeners.add(listener);
+    listener(entries);
+    return () => listeners.delete(listener);
+};
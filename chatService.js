@@ -0,0 +1,396 @@
+import { db } from "@/firebase";
+import {
+    arrayRemove,
+    arrayUnion,
+    collection,
+    collectionGroup,
+    deleteField,
+    doc,
+    endAt,
+    getDoc,
+    getDocs,
+    limit,
+    onSnapshot,
+    orderBy,
+    query,
+    runTransaction,
+    serverTimestamp,
+    setDoc,
+    startAfter,
+    updateDoc,
+    where,
+    writeBatch,
+} from "firebase/firestore";
+import { getMessageSearchText, getSearchKeywords, getSearchWords, MAX_KEYWORD_LENGTH } from "./functions/shared/searchKeywords";
+
+export { getMessageSearchText, getSearchKeywords };
+
+// Firestore access for chats. Every subscribe* function returns a single unsubscribe
+// that tears down everything it started, so screens can return it straight from useEffect.
+
+export const MESSAGES_PAGE_SIZE = 30;
+export const EDIT_WINDOW_MS = 15 * 60 * 1000; // Own messages can be edited for 15 minutes
+export const DELETED_MESSAGE_PREVIEW = "🚫 Message deleted";
+
+// Chat ids are derived from the participants (and booking), so two people messaging each other
+// for the first time at the same moment both end up writing to the same document.
+export const getChatId = (participantIds, bookingId = null) => {
+    const pairKey = [...participantIds].sort().join("_");
+    return bookingId ? `${pairKey}_${bookingId}` : pairKey;
+};
+
+// Global search looks messages up by their searchKeywords (see functions/shared/searchKeywords.js).
+// Messages sent before keywords were stored get them from the backfillMessageSearchKeywords function.
+const SEARCH_RESULTS_PER_CHAT = 20;
+
+// Splits text into [{ text, match }] parts around case-insensitive occurrences of term, for highlighting
+export const splitByMatches = (text, term) => {
+    const needle = term.trim().toLowerCase();
+    if (!text || !needle) return [{ text: text || "", match: false }];
+
+    const parts = [];
+    const haystack = text.toLowerCase();
+    let start = 0;
+    let index = haystack.indexOf(needle);
+    while (index !== -1) {
+        if (index > start) parts.push({ text: text.slice(start, index), match: false });
+        parts.push({ text: text.slice(index, index + needle.length), match: true });
+        start = index + needle.length;
+        index = haystack.indexOf(needle, start);
+    }
+    if (start < text.length) parts.push({ text: text.slice(start), match: false });
+    return parts;
+};
+
+// Searches the given chats for messages whose text or attachment name contains term, newest first.
+// Each hit is { chatId, messageId, text, senderId, senderName, createdAt }, where text is the attachment
+// ("📎 lease.pdf") when only its name matched.
+export const searchMessages = async (chatIds, term) => {
+    const needle = term.trim().toLowerCase();
+    // The longest word narrows the query the most; the full term is then matched locally
+    const keyword = getSearchWords(needle)
+        .sort((a, b) => b.length - a.length)[0]
+        ?.slice(0, MAX_KEYWORD_LENGTH);
+    if (!keyword || keyword.length < 2) return [];
+
+    const perChat = await Promise.all(chatIds.map(async (chatId) => {
+        const snapshot = await getDocs(query(
+            collection(db, "chats", chatId, "messages"),
+            where("searchKeywords", "array-contains", keyword),
+            orderBy("createdAt", "desc"),
+            limit(SEARCH_RESULTS_PER_CHAT)
+        ));
+        return snapshot.docs
+            .filter((messageDoc) => !messageDoc.data().deleted && getMessageSearchText(messageDoc.data()).toLowerCase().includes(needle))
+            .map((messageDoc) => ({
+                chatId,
+                messageId: messageDoc.id,
+                text: (messageDoc.data().text || "").toLowerCase().includes(needle)
+                    ? messageDoc.data().text
+                    : `📎 ${messageDoc.data().file.name}`,
+                senderId: messageDoc.data().senderId,
+                senderName: messageDoc.data().senderName,
+                createdAt: messageDoc.data().createdAt?.toDate() || null,
+            }));
+    }));
+
+    return perChat.flat().sort((a, b) => (b.createdAt?.getTime() || 0) - (a.createdAt?.getTime() || 0));
+};
+
+// Chats created before ids were deterministic have random ids and have to be found by query
+const findLegacyChatId = async (participants, bookingId) => {
+    const q = bookingId
+        ? query(
+            collection(db, "chats"),
+            where("participants", "==", participants),
+            where("bookingId", "==", bookingId),
+            limit(1)
+        )
+        : query(collection(db, "chats"), where("participants", "==", participants));
+
+    const snapshot = await getDocs(q);
+    // Older general threads have no bookingId field at all; group chats are never a pair's thread
+    const legacyDoc = snapshot.docs.find((chatDoc) => !chatDoc.data().isGroup && (bookingId || !chatDoc.data().bookingId));
+    return legacyDoc?.id || null;
+};
+
+// Calls back with the chat's data, or null while the document doesn't exist
+export const subscribeToChat = (chatId, callback) => onSnapshot(doc(db, "chats", chatId), (chatSnap) => {
+    callback(chatSnap.exists() ? chatSnap.data() : null);
+}, (error) => {
+    console.error("Error fetching chat:", error);
+});
+
+// Calls back with { chatId, chat } for the thread between the participants (optionally for one
+// booking). chat is null until the first message creates the document under chatId.
+export const subscribeToThread = ({ participants, bookingId = null }, callback) => {
+    const sortedParticipants = [...participants].sort();
+    const chatId = getChatId(sortedParticipants, bookingId);
+    let unsubscribeChat = null;
+    let cancelled = false;
+
+    getDoc(doc(db, "chats", chatId))
+        .then(async (chatSnap) => (chatSnap.exists() ? chatId : (await findLegacyChatId(sortedParticipants, bookingId)) || chatId))
+        .catch((error) => {
+            console.error("Error looking up chat:", error);
+            return chatId;
+        })
+        .then((resolvedChatId) => {
+            if (cancelled) return;
+            unsubscribeChat = subscribeToChat(resolvedChatId, (chat) => callback({ chatId: resolvedChatId, chat }));
+        });
+
+    return () => {
+        cancelled = true;
+        unsubscribeChat?.();
+    };
+};
+
+// Live newest-first messages. Without an anchor this is the newest page; with one (a message snapshot or
+// a createdAt Timestamp) it's every message from the anchor onwards (see ChatScreen for why the window
+// gets pinned). Metadata changes are included so callers hear when a cached snapshot is confirmed by
+// the server, even if nothing in it changed.
+export const subscribeToMessages = (chatId, anchor, callback) => {
+    const messagesRef = collection(db, "chats", chatId, "messages");
+    const messagesQuery = anchor
+        ? query(messagesRef, orderBy("createdAt", "desc"), endAt(anchor))
+        : query(messagesRef, orderBy("createdAt", "desc"), limit(MESSAGES_PAGE_SIZE));
+
+    return onSnapshot(messagesQuery, { includeMetadataChanges: true }, callback, (error) => {
+        console.error("Error fetching messages:", error);
+    });
+};
+
+// One page of messages older than the cursor document
+export const fetchEarlierMessages = async (chatId, cursor) => {
+    const earlierQuery = query(
+        collection(db, "chats", chatId, "messages"),
+        orderBy("createdAt", "desc"),
+        startAfter(cursor),
+        limit(MESSAGES_PAGE_SIZE)
+    );
+    const snapshot = await getDocs(earlierQuery);
+    return snapshot.docs;
+};
+
+// Every chat the user takes part in, most recent first
+export const subscribeToUserChats = (uid, callback, onError) => {
+    const q = query(
+        collection(db, "chats"),
+        where("participants", "array-contains", uid),
+        orderBy("lastMessageTimestamp", "desc")
+    );
+    return onSnapshot(q, callback, onError);
+};
+
+// Adds the user to deliveredTo on the given messages, as soon as a snapshot brings them to this device
+export const markMessagesReceived = (chatId, messageIds, uid) => {
+    const batch = writeBatch(db);
+    messageIds.forEach((messageId) => {
+        batch.update(doc(db, "chats", chatId, "messages", messageId), {
+            deliveredTo: arrayUnion(uid),
+        });
+    });
+    return batch.commit();
+};
+
+export const markMessagesRead = (chatId, messageIds, uid) => {
+    const batch = writeBatch(db);
+    messageIds.forEach((messageId) => {
+        batch.update(doc(db, "chats", chatId, "messages", messageId), {
+            deliveredTo: arrayUnion(uid),
+            readBy: arrayUnion(uid),
+        });
+    });
+    return batch.commit();
+};
+
+// Adds the user to deliveredTo on the newest unread messages of a chat
+export const markMessagesDelivered = async (chatId, unreadCount, uid) => {
+    const messagesQuery = query(
+        collection(db, "chats", chatId, "messages"),
+        orderBy("createdAt", "desc"),
+        limit(unreadCount)
+    );
+    const snapshot = await getDocs(messagesQuery);
+    const batch = writeBatch(db);
+    snapshot.docs
+        .filter((messageDoc) => !(messageDoc.data().deliveredTo || []).includes(uid))
+        .forEach((messageDoc) => {
+            batch.update(messageDoc.ref, { deliveredTo: arrayUnion(uid) });
+        });
+    return batch.commit();
+};
+
+export const resetUnreadCount = (chatId, uid) => updateDoc(doc(db, "chats", chatId), {
+    [`unreadCounts.${uid}`]: 0,
+});
+
+// Applies changes to a message and, when it's the chat's latest one, refreshes lastMessageText too.
+// Chats from before lastMessageId was stored rely on the caller's idea of what's latest.
+const updateMessageAndPreview = (chatId, messageId, changes, previewText, isLatestFallback) => {
+    const chatRef = doc(db, "chats", chatId);
+    return runTransaction(db, async (transaction) => {
+        const chatSnap = await transaction.get(chatRef);
+        transaction.update(doc(chatRef, "messages", messageId), changes);
+
+        const lastMessageId = chatSnap.data()?.lastMessageId;
+        const isLatest = lastMessageId ? lastMessageId === messageId : isLatestFallback;
+        if (chatSnap.exists() && isLatest) {
+            transaction.update(chatRef, { lastMessageText: previewText });
+        }
+    });
+};
+
+export const editMessage = (chatId, messageId, text, isLatestFallback = false) => updateMessageAndPreview(
+    chatId,
+    messageId,
+    { text, editedAt: serverTimestamp(), searchKeywords: getSearchKeywords(text) },
+    text,
+    isLatestFallback
+);
+
+// "Delete for everyone" keeps the document as a placeholder so replies and ordering stay intact
+export const deleteMessage = (chatId, messageId, isLatestFallback = false) => updateMessageAndPreview(
+    chatId,
+    messageId,
+    {
+        deleted: true,
+        deletedAt: serverTimestamp(),
+        text: "",
+        image: deleteField(),
+        file: deleteField(),
+        replyTo: deleteField(),
+        reactions: deleteField(),
+        searchKeywords: deleteField(),
+    },
+    DELETED_MESSAGE_PREVIEW,
+    isLatestFallback
+);
+
+// One reaction per user per message; passing null removes it
+export const setReaction = (chatId, messageId, uid, emoji) => updateDoc(doc(db, "chats", chatId, "messages", messageId), {
+    [`reactions.${uid}`]: emoji || deleteField(),
+});
+
+// Group chats get a random id (the same people can share several groups) and exist before the first message.
+// creator and members are { uid, name, image }.
+export const createGroupChat = async ({ title, creator, members }) => {
+    const chatRef = doc(collection(db, "chats"));
+    const everyone = [creator, ...members];
+
+    const participantNames = {};
+    const participantImages = {};
+    const unreadCounts = {};
+    everyone.forEach((member) => {
+        participantNames[member.uid] = member.name;
+        participantImages[member.uid] = member.image || null;
+        unreadCounts[member.uid] = 0;
+    });
+
+    await setDoc(chatRef, {
+        isGroup: true,
+        title,
+        createdBy: creator.uid,
+        participants: everyone.map((member) => member.uid).sort(),
+        participantNames,
+        participantImages,
+        unreadCounts,
+        vehicleName: null,
+        bookingId: null,
+        createdAt: serverTimestamp(),
+        lastMessageText: `${creator.name} created the group`,
+        lastMessageTimestamp: serverTimestamp(),
+    });
+    return chatRef.id;
+};
+
+export const addGroupMembers = (chatId, members) => {
+    const changes = {
+        participants: arrayUnion(...members.map((member) => member.uid)),
+    };
+    members.forEach((member) => {
+        changes[`participantNames.${member.uid}`] = member.name;
+        changes[`participantImages.${member.uid}`] = member.image || null;
+        changes[`unreadCounts.${member.uid}`] = 0;
+    });
+    return updateDoc(doc(db, "chats", chatId), changes);
+};
+
+// Also used for leaving a group. Names stay on the messages themselves (senderName).
+export const removeGroupMember = (chatId, uid) => updateDoc(doc(db, "chats", chatId), {
+    participants: arrayRemove(uid),
+    [`participantNames.${uid}`]: deleteField(),
+    [`participantImages.${uid}`]: deleteField(),
+    [`unreadCounts.${uid}`]: deleteField(),
+});
+
+// Per-user conversation preferences, stored next to the chat document:
+//   chats/{chatId}/preferences/{uid} -> { uid, pinned, mutedUntil, archivedAt, markedUnread, updatedAt }
+// mutedUntil is in ms since epoch. An archived chat stays hidden until a message newer than archivedAt
+// arrives. sendChatNotification (functions/index.js) reads these to skip muted recipients.
+
+export const MUTED_FOREVER = 8640000000000000; // The largest valid Date, for "until I unmute"
+export const MUTE_DURATIONS = [
+    { label: "8 hours", ms: 8 * 60 * 60 * 1000 },
+    { label: "1 week", ms: 7 * 24 * 60 * 60 * 1000 },
+    { label: "Until I unmute", ms: null },
+];
+
+export const DEFAULT_CHAT_PREFERENCES = { pinned: false, mutedUntil: null, archivedAt: null, markedUnread: false };
+
+const mapChatPreferences = (preferencesSnap) => {
+    // A just-written archivedAt is still pending; estimating it keeps the chat hidden right away
+    const data = preferencesSnap.data({ serverTimestamps: "estimate" }) || {};
+    return {
+        pinned: !!data.pinned,
+        mutedUntil: data.mutedUntil || null,
+        archivedAt: data.archivedAt?.toDate() || null,
+        markedUnread: !!data.markedUnread,
+    };
+};
+
+// Calls back with { chatId: preferences } for every chat the user has changed a preference on
+export const subscribeToChatPreferences = (uid, callback, onError) => onSnapshot(
+    query(collectionGroup(db, "preferences"), where("uid", "==", uid)),
+    (snapshot) => {
+        const preferences = {};
+        snapshot.docs.forEach((preferencesDoc) => {
+            preferences[preferencesDoc.ref.parent.parent.id] = mapChatPreferences(preferencesDoc);
+        });
+        callback(preferences);
+    },
+    onError
+);
+
+export const subscribeToChatPreference = (chatId, uid, callback) => onSnapshot(
+    doc(db, "chats", chatId, "preferences", uid),
+    (preferencesSnap) => callback(mapChatPreferences(preferencesSnap)),
+    (error) => console.error("Error fetching chat preferences:", error)
+);
+
+export const isChatMuted = (preferences, now = Date.now()) => !!preferences?.mutedUntil && preferences.mutedUntil > now;
+
+export const isChatArchived = (preferences, lastMessageTimestamp) => !!preferences?.archivedAt
+    && (!lastMessageTimestamp || lastMessageTimestamp.toDate() <= preferences.archivedAt);
+
+const updateChatPreferences = (chatId, uid, changes) => setDoc(doc(db, "chats", chatId, "preferences", uid), {
+    ...changes,
+    uid, // For the collection group query
+    updatedAt: serverTimestamp(),
+}, { merge: true });
+
+export const setChatPinned = (chatId, uid, pinned) => updateChatPreferences(chatId, uid, { pinned });
+
+// durationMs null mutes until the user unmutes
+export const muteChat = (chatId, uid, durationMs) => updateChatPreferences(chatId, uid, {
+    mutedUntil: durationMs ? Date.now() + durationMs : MUTED_FOREVER,
+});
+
+export const unmuteChat = (chatId, uid) => updateChatPreferences(chatId, uid, { mutedUntil: null });
+
+export const setChatArchived = (chatId, uid, archived) => updateChatPreferences(chatId, uid, {
+    archivedAt: archived ? serverTimestamp() : null,
+});
+
+export const setChatMarkedUnread = (chatId, uid, markedUnread) => updateChatPreferences(chatId, uid, { markedUnread });
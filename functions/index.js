@@ -0,0 +1,463 @@
+const { onDocumentCreated, onDocumentWritten } = require("firebase-functions/v2/firestore");
+const { HttpsError, onCall } = require("firebase-functions/v2/https");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const logger = require("firebase-functions/logger");
+const { initializeApp } = require("firebase-admin/app");
+const { FieldPath, FieldValue, getFirestore, Timestamp } = require("firebase-admin/firestore");
+const { canTransition, getStoredStatusValues, normalizeBookingStatus } = require("./shared/bookingStatus");
+const { CANCELLATION_REASONS, calculateRefund, getCancellationPolicy } = require("./shared/cancellationPolicy");
+const { getMessageSearchText, getSearchKeywords } = require("./shared/searchKeywords");
+
+initializeApp();
+const db = getFirestore();
+
+const EXPO_PUSH_URL = "https://exp.host/--/api/v2/push/send";
+const EXPO_BATCH_SIZE = 100; // Expo accepts at most 100 messages per request
+
+const getLocationPreview = (location) => {
+    if (location.kind === "live") return "📍 Live location";
+    const label = location.kind === "meetingPoint" ? "Meeting point" : "Location";
+    return location.address ? `📍 ${label}: ${location.address}` : `📍 ${label}`;
+};
+
+// Same preview rules as the app's chat list
+const getMessagePreview = (message) => {
+    if (message.deleted) return "🚫 Message deleted";
+    if (message.image) return "📷 Photo";
+    if (message.file) return `📎 ${message.file.name}`;
+    if (message.booking) return `🚗 Booking: ${message.booking.carModel}`;
+    if (message.location) return getLocationPreview(message.location);
+    return message.text || "";
+};
+
+// Sends a push notification to every other participant when a message is added to a chat.
+// Recipients who have the chat open on one of their devices (activeChatId, see notifications.js)
+// or have muted it (chats/{chatId}/preferences/{uid}, see chatService.js) are skipped. Works in the emulator too
+// (npm run serve, ports in firebase.json): tokens and chats are read from the emulated Firestore.
+exports.sendChatNotification = onDocumentCreated("chats/{chatId}/messages/{messageId}", async (event) => {
+    const { chatId } = event.params;
+    const message = event.data?.data();
+    if (!message) return;
+
+    const chatSnap = await db.doc(`chats/${chatId}`).get();
+    if (!chatSnap.exists) return;
+    const chat = chatSnap.data();
+    const recipientIds = (chat.participants || []).filter((uid) => uid !== message.senderId);
+
+    const notifications = [];
+    const tokenRefs = [];
+    await Promise.all(recipientIds.map(async (uid) => {
+        const blockedSnap = message.senderId ? await db.doc(`users/${uid}/blockedUsers/${message.senderId}`).get() : null;
+        if (blockedSnap?.exists) return; // firestore.rules refuses these messages; don't notify if one gets through anyway
+
+        const preferencesSnap = await db.doc(`chats/${chatId}/preferences/${uid}`).get();
+        if (preferencesSnap.data()?.mutedUntil > Date.now()) {
+            logger.debug(`Skipping ${uid}, chat ${chatId} is muted`);
+            return;
+        }
+
+        const tokensSnap = await db.collection(`users/${uid}/pushTokens`).get();
+        if (tokensSnap.docs.some((tokenDoc) => tokenDoc.data().activeChatId === chatId)) {
+            logger.debug(`Skipping ${uid}, chat ${chatId} is open`);
+            return;
+        }
+
+        // What the app needs to open the thread from the recipient's side. Booking updates have no
+        // sender, so the other person is looked up from the chat instead of the message.
+        const otherUid = (chat.participants || []).find((participant) => participant !== uid);
+        const data = chat.isGroup
+            ? { chatId, isGroup: true, title: chat.title || "Group chat" }
+            : {
+                chatId,
+                recipientId: otherUid,
+                recipientName: chat.participantNames?.[otherUid] || message.senderName || "",
+                recipientImage: chat.participantImages?.[otherUid] || message.senderImage || "",
+                ...(chat.vehicleName ? { vehicleName: chat.vehicleName } : {}),
+                ...(chat.bookingId ? { bookingId: chat.bookingId } : {}),
+            };
+
+        tokensSnap.docs.forEach((tokenDoc) => {
+            tokenRefs.push(tokenDoc.ref);
+            notifications.push({
+                to: tokenDoc.data().token,
+                title: chat.isGroup ? chat.title : message.senderName || "Booking update",
+                body: chat.isGroup && !message.system
+                    ? `${message.senderName}: ${getMessagePreview(message)}`
+                    : getMessagePreview(message),
+                sound: "default",
+                channelId: "chat",
+                data,
+            });
+        });
+    }));
+
+    for (let start = 0; start < notifications.length; start += EXPO_BATCH_SIZE) {
+        const batch = notifications.slice(start, start + EXPO_BATCH_SIZE);
+        const response = await fetch(EXPO_PUSH_URL, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", Accept: "application/json" },
+            body: JSON.stringify(batch),
+        });
+        if (!response.ok) {
+            logger.error(`Expo push request failed with ${response.status}`, await response.text());
+            continue;
+        }
+
+        // Tickets come back in the same order; forget tokens of uninstalled apps
+        const { data: tickets = [] } = await response.json();
+        await Promise.all(tickets.map((ticket, index) => {
+            if (ticket.status === "error" && ticket.details?.error === "DeviceNotRegistered") {
+                return tokenRefs[start + index].delete();
+            }
+            if (ticket.status === "error") {
+                logger.warn("Expo push ticket error", ticket);
+            }
+            return null;
+        }));
+    }
+});
+
+const MAX_SEARCH_KEY_LENGTH = 30; // Must match userService.js
+
+// Same normalization as userService.js: lowercase, no accents, single spaces
+const normalizeSearchText = (text) => (text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Prefixes of each name/email as a whole and of each word in it ("john.smith@x.com" also gives "smith...")
+const getUserSearchFields = (user) => {
+    const keys = new Set();
+    const addPrefixes = (text) => {
+        const key = text.slice(0, MAX_SEARCH_KEY_LENGTH);
+        for (let length = 1; length <= key.length; length++) {
+            keys.add(key.slice(0, length));
+        }
+    };
+    [user.displayName, user.fullName, user.email].forEach((value) => {
+        const normalized = normalizeSearchText(value);
+        if (!normalized) return;
+        addPrefixes(normalized);
+        normalized.split(/[\s._@+-]+/).filter(Boolean).forEach(addPrefixes);
+    });
+
+    return {
+        searchName: normalizeSearchText(user.displayName || user.fullName || user.email),
+        searchKeys: [...keys].sort(),
+    };
+};
+
+const searchFieldsChanged = (user, fields) => user.searchName !== fields.searchName
+    || JSON.stringify(user.searchKeys || []) !== JSON.stringify(fields.searchKeys);
+
+// Keeps the fields NewChatScreen searches on in sync with the profile. Writing them triggers this
+// function again, which then finds nothing to change.
+exports.syncUserSearchKeys = onDocumentWritten("users/{uid}", async (event) => {
+    const user = event.data?.after.data();
+    if (!user) return;
+
+    const fields = getUserSearchFields(user);
+    if (!searchFieldsChanged(user, fields)) return;
+    await event.data.after.ref.update(fields);
+});
+
+// One-off backfill for profiles written before syncUserSearchKeys existed. Admins only.
+exports.backfillUserSearchKeys = onCall(async (request) => {
+    if (!request.auth?.token.admin) {
+        throw new HttpsError("permission-denied", "Only admins can run the backfill.");
+    }
+
+    const snapshot = await db.collection("users").get();
+    let updated = 0;
+    let batch = db.batch();
+    for (const userDoc of snapshot.docs) {
+        const fields = getUserSearchFields(userDoc.data());
+        if (!searchFieldsChanged(userDoc.data(), fields)) continue;
+
+        batch.update(userDoc.ref, fields);
+        updated += 1;
+        if (updated % 400 === 0) {
+            await batch.commit();
+            batch = db.batch();
+        }
+    }
+    await batch.commit();
+    return { updated };
+});
+
+const BACKFILL_PAGE_SIZE = 400;
+
+// One-off backfill of searchKeywords for messages sent before the app stored them, so the global search
+// finds them too. Admins only; running it again only touches messages still without keywords.
+exports.backfillMessageSearchKeywords = onCall({ timeoutSeconds: 3600 }, async (request) => {
+    if (!request.auth?.token.admin) {
+        throw new HttpsError("permission-denied", "Only admins can run the backfill.");
+    }
+
+    let updated = 0;
+    let lastDoc = null;
+    for (;;) {
+        let pageQuery = db.collectionGroup("messages").orderBy(FieldPath.documentId()).limit(BACKFILL_PAGE_SIZE);
+        if (lastDoc) pageQuery = pageQuery.startAfter(lastDoc);
+        const snapshot = await pageQuery.get();
+        if (snapshot.empty) break;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+        const batch = db.batch();
+        let batchSize = 0;
+        snapshot.docs.forEach((messageDoc) => {
+            const message = messageDoc.data();
+            if (message.deleted || message.searchKeywords) return;
+            batch.update(messageDoc.ref, { searchKeywords: getSearchKeywords(getMessageSearchText(message)) });
+            batchSize += 1;
+        });
+        if (batchSize > 0) await batch.commit();
+        updated += batchSize;
+    }
+    logger.info(`Backfilled search keywords on ${updated} messages`);
+    return { updated };
+});
+
+// Booking updates are posted into the booking's conversation as system messages (no sender, shown
+// centred by GiftedChat). Status changes are picked up here rather than in the app, so updates written
+// by the owner's app, the console or other functions all end up in the chat.
+
+const PICKUP_REMINDER_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const getCarName = (booking) => `${booking.vehicleBrand ?? ""} ${booking.vehicleModel ?? ""}`.trim() || "car";
+
+// Chat text for each status in shared/bookingStatus.js
+const BOOKING_STATUS_TEXTS = {
+    pending: (car) => `New booking request for the ${car}`,
+    accepted: (car) => `Booking for the ${car} was accepted`,
+    active: (car) => `Rental of the ${car} has started`,
+    completed: (car) => `Rental of the ${car} was completed`,
+    cancelled: (car) => `Booking for the ${car} was cancelled`,
+    declined: (car) => `Booking request for the ${car} was declined`,
+};
+const getStatusText = (booking) => {
+    const status = normalizeBookingStatus(booking.status);
+    const text = BOOKING_STATUS_TEXTS[status];
+    if (!text) return `Booking status changed to ${booking.status}`;
+
+    // Renter cancellations (cancelBooking below) record the reason and refund
+    const { cancellation } = booking;
+    if (status === "cancelled" && cancellation?.reason) {
+        const refund = typeof cancellation.refundAmount === "number" ? ` (refund $${cancellation.refundAmount.toFixed(2)})` : "";
+        return `${text(getCarName(booking))}: ${cancellation.reason}${refund}`;
+    }
+    return text(getCarName(booking));
+};
+
+// Booking dates may be Timestamps or ISO strings depending on where the booking was created
+const toDate = (value) => {
+    const date = value?.toDate ? value.toDate() : new Date(value);
+    return value && !isNaN(date.getTime()) ? date : null;
+};
+
+const getDisplayName = (user) => user?.displayName || user?.fullName || user?.email || "User";
+
+// The conversation between renter and owner about this booking: the thread with the same id the app
+// derives (getChatId in chatService.js), or an older one found by query. Starts one if there's none yet,
+// so the update still reaches both people.
+const getBookingChatRef = async (bookingId, booking) => {
+    const participants = [booking.userId, booking.ownerId].sort();
+    const chatRef = db.doc(`chats/${participants.join("_")}_${bookingId}`);
+    if ((await chatRef.get()).exists) return chatRef;
+
+    const legacySnap = await db.collection("chats").where("bookingId", "==", bookingId).get();
+    const legacyDoc = legacySnap.docs.find((chatDoc) => !chatDoc.data().isGroup);
+    if (legacyDoc) return legacyDoc.ref;
+
+    const userSnaps = await db.getAll(...participants.map((uid) => db.doc(`users/${uid}`)));
+    const participantNames = {};
+    const participantImages = {};
+    const unreadCounts = {};
+    userSnaps.forEach((userSnap) => {
+        participantNames[userSnap.id] = getDisplayName(userSnap.data());
+        participantImages[userSnap.id] = userSnap.data()?.profileImage || null;
+        unreadCounts[userSnap.id] = 0;
+    });
+    await chatRef.create({
+        participants,
+        participantNames,
+        participantImages,
+        unreadCounts,
+        vehicleName: getCarName(booking),
+        bookingId,
+        createdAt: FieldValue.serverTimestamp(),
+    }).catch((error) => {
+        // The app may have created it at the same moment; that's the chat we want anyway
+        if (error.code !== 6) throw error; // ALREADY_EXISTS
+    });
+    return chatRef;
+};
+
+// messageId makes the write idempotent: a retried trigger finds the message and leaves it alone
+const postBookingMessage = async (bookingId, booking, { messageId, systemType, text }) => {
+    if (!booking.userId || !booking.ownerId) {
+        logger.warn(`Booking ${bookingId} has no renter or owner, not posting "${text}"`);
+        return false;
+    }
+    const chatRef = await getBookingChatRef(bookingId, booking);
+    const messageRef = chatRef.collection("messages").doc(messageId);
+
+    return db.runTransaction(async (transaction) => {
+        if ((await transaction.get(messageRef)).exists) return false;
+        const chat = (await transaction.get(chatRef)).data();
+
+        transaction.set(messageRef, {
+            text,
+            system: true,
+            systemType,
+            bookingId,
+            createdAt: FieldValue.serverTimestamp(),
+            senderId: null,
+            senderName: null,
+            senderImage: null,
+            deliveredTo: [],
+            readBy: [],
+        });
+        const changes = {
+            lastMessageText: `🚗 ${text}`,
+            lastMessageTimestamp: FieldValue.serverTimestamp(),
+            lastMessageSenderId: null,
+            lastMessageId: messageId,
+        };
+        chat.participants.forEach((uid) => {
+            changes[`unreadCounts.${uid}`] = FieldValue.increment(1);
+        });
+        transaction.update(chatRef, changes);
+        return true;
+    });
+};
+
+// The renter cancelling a pending or accepted booking (cancelBooking in bookingLifecycle.js). The refund
+// is worked out here, from the booking as stored and the server's clock, so it can't be changed by the
+// app; the status change is recorded in statusHistory like any other transition. confirmedRefundAmount is
+// what the renter was shown: the device's clock or time zone can put the booking in another tier (see
+// shared/cancellationPolicy.js), so a different amount turns the call down with this refund in the
+// error's details, for the renter to confirm again.
+exports.cancelBooking = onCall(async (request) => {
+    const uid = request.auth?.uid;
+    if (!uid) throw new HttpsError("unauthenticated", "Sign in to cancel a booking.");
+    const { bookingId, reason, details, confirmedRefundAmount } = request.data || {};
+    if (typeof bookingId !== "string" || !bookingId) throw new HttpsError("invalid-argument", "bookingId is required.");
+    if (!CANCELLATION_REASONS.includes(reason)) throw new HttpsError("invalid-argument", "Choose a reason for cancelling.");
+    if (typeof confirmedRefundAmount !== "number") {
+        throw new HttpsError("invalid-argument", "confirmedRefundAmount is required.");
+    }
+
+    const bookingRef = db.doc(`bookings/${bookingId}`);
+    return db.runTransaction(async (transaction) => {
+        const bookingSnap = await transaction.get(bookingRef);
+        if (!bookingSnap.exists) throw new HttpsError("not-found", "This booking no longer exists.");
+        const booking = bookingSnap.data();
+        if (booking.userId !== uid) throw new HttpsError("permission-denied", "Only the renter can cancel this booking.");
+        if (!canTransition(booking.status, "cancelled")) {
+            throw new HttpsError("failed-precondition", "This booking can no longer be cancelled.");
+        }
+
+        const now = Timestamp.now();
+        const policy = getCancellationPolicy(booking);
+        const refund = calculateRefund({ price: booking.price, startDate: booking.startDate, policy, now: now.toDate() });
+        if (refund.refundAmount !== confirmedRefundAmount) {
+            throw new HttpsError("failed-precondition", "The refund for this booking has changed.", {
+                tier: refund.tier,
+                refundAmount: refund.refundAmount,
+                refundPercent: refund.refundPercent,
+                fee: refund.fee,
+                freeUntil: refund.freeUntil?.toISOString() || null,
+            });
+        }
+        transaction.update(bookingRef, {
+            status: "cancelled",
+            statusUpdatedAt: FieldValue.serverTimestamp(),
+            statusHistory: FieldValue.arrayUnion({
+                from: normalizeBookingStatus(booking.status),
+                to: "cancelled",
+                changedBy: uid,
+                changedAt: now,
+                note: reason,
+            }),
+            cancellation: {
+                reason,
+                details: String(details || "").trim() || null,
+                cancelledBy: uid,
+                cancelledAt: FieldValue.serverTimestamp(),
+                refundAmount: refund.refundAmount,
+                refundPercent: refund.refundPercent,
+                fee: refund.fee,
+                policy,
+            },
+        });
+        return { refundAmount: refund.refundAmount, refundPercent: refund.refundPercent, fee: refund.fee };
+    });
+});
+
+// Status changes, including a new booking coming in as "Pending". A completed rental is followed by a
+// review request. Status writes that didn't go through transitionBooking (bookingLifecycle.js) get their
+// statusHistory entry here, so the audit trail covers every change. A new booking is put down to the
+// renter who made it; other changes made outside the app (the console, scripts) have no known author.
+exports.postBookingStatusMessages = onDocumentWritten("bookings/{bookingId}", async (event) => {
+    const { bookingId } = event.params;
+    const before = event.data?.before.data();
+    const booking = event.data?.after.data();
+    const from = before ? normalizeBookingStatus(before.status) || before.status : null;
+    const to = booking ? normalizeBookingStatus(booking.status) || booking.status : null;
+    if (!booking || (before && from === to)) return;
+
+    const lastEntry = (booking.statusHistory || [])[(booking.statusHistory || []).length - 1];
+    if (lastEntry?.to !== to) {
+        await event.data.after.ref.update({
+            statusHistory: FieldValue.arrayUnion({
+                from,
+                to,
+                changedBy: before ? null : booking.userId || null,
+                changedAt: Timestamp.now(),
+                note: before ? "Recorded by the server" : "Booking created",
+            }),
+        });
+    }
+
+    await postBookingMessage(bookingId, booking, {
+        messageId: `booking_${event.id}`,
+        systemType: "bookingStatus",
+        text: getStatusText(booking),
+    });
+
+    if (to === "completed" && !booking.hasReviewed) {
+        await postBookingMessage(bookingId, booking, {
+            messageId: `reviewRequest_${bookingId}`,
+            systemType: "reviewRequest",
+            text: `How was the ${getCarName(booking)}? Leave a review from your booking history`,
+        });
+    }
+});
+
+// Reminds both sides of accepted bookings whose pickup is less than a day away, once per booking
+exports.sendPickupReminders = onSchedule("every 60 minutes", async () => {
+    const snapshot = await db.collection("bookings").where("status", "in", getStoredStatusValues("accepted")).get();
+    const now = Date.now();
+    const dueBookings = snapshot.docs.filter((bookingDoc) => {
+        const pickup = toDate(bookingDoc.data().startDate);
+        return !bookingDoc.data().pickupReminderSentAt
+            && pickup
+            && pickup.getTime() > now
+            && pickup.getTime() - now <= PICKUP_REMINDER_WINDOW_MS;
+    });
+
+    for (const bookingDoc of dueBookings) {
+        const booking = bookingDoc.data();
+        const location = booking.pickupLocation ? ` at ${booking.pickupLocation}` : "";
+        await postBookingMessage(bookingDoc.id, booking, {
+            messageId: `pickupReminder_${bookingDoc.id}`,
+            systemType: "pickupReminder",
+            text: `Reminder: pickup of the ${getCarName(booking)} is within 24 hours${location}`,
+        });
+        await bookingDoc.ref.update({ pickupReminderSentAt: FieldValue.serverTimestamp() });
+    }
+    logger.info(`Sent ${dueBookings.length} pickup reminders`);
+});
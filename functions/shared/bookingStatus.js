@@ -0,0 +1,74 @@
+// Booking statuses and the lifecycle between them, shared by the app (bookingLifecycle.js) and the
+// Cloud Functions in functions/index.js, so both sides agree on what a stored status means:
+//
+//   pending -> accepted -> active -> completed
+//      |          |
+//      |          +-> cancelled
+//      +-> declined / cancelled
+//
+// Older bookings were written with other spellings ("Accepted", "accepdted", "canceled");
+// normalizeBookingStatus maps those, and getStoredStatusValues lists them for queries. firestore.rules
+// keeps a copy of the transitions and spellings (checked by __tests__/bookingRules.test.js).
+
+const BOOKING_STATUSES = {
+    PENDING: "pending",
+    ACCEPTED: "accepted",
+    ACTIVE: "active",
+    COMPLETED: "completed",
+    CANCELLED: "cancelled",
+    DECLINED: "declined",
+};
+
+const { PENDING, ACCEPTED, ACTIVE, COMPLETED, CANCELLED, DECLINED } = BOOKING_STATUSES;
+
+// In lifecycle order, e.g. for filter chips
+const BOOKING_STATUS_ORDER = [PENDING, ACCEPTED, ACTIVE, COMPLETED, CANCELLED, DECLINED];
+
+const BOOKING_TRANSITIONS = {
+    [PENDING]: [ACCEPTED, DECLINED, CANCELLED],
+    [ACCEPTED]: [ACTIVE, CANCELLED],
+    [ACTIVE]: [COMPLETED],
+    [COMPLETED]: [],
+    [CANCELLED]: [],
+    [DECLINED]: [],
+};
+
+// Spellings found in older bookings, by canonical status (lowercased; case doesn't matter)
+const LEGACY_STATUS_ALIASES = {
+    [ACCEPTED]: ["accepdted", "approved", "confirmed"],
+    [ACTIVE]: ["in progress", "ongoing", "started"],
+    [CANCELLED]: ["canceled"],
+    [DECLINED]: ["rejected"],
+};
+
+// Canonical status for a stored value. Bookings without one are pending; unknown values give null.
+const normalizeBookingStatus = (value) => {
+    if (value === undefined || value === null || value === "") return PENDING;
+    const key = String(value).trim().toLowerCase();
+    if (BOOKING_TRANSITIONS[key]) return key;
+    return Object.keys(LEGACY_STATUS_ALIASES).find((status) => LEGACY_STATUS_ALIASES[status].includes(key)) || null;
+};
+
+// Every stored value that means status, for where("status", "in", ...) while old data is around
+const getStoredStatusValues = (status) => {
+    const spellings = [status, ...(LEGACY_STATUS_ALIASES[status] || [])];
+    return [...new Set(spellings.flatMap((spelling) => [
+        spelling,
+        spelling[0].toUpperCase() + spelling.slice(1),
+    ]))];
+};
+
+const canTransition = (from, to) => (BOOKING_TRANSITIONS[normalizeBookingStatus(from)] || []).includes(to);
+
+const isFinalStatus = (value) => (BOOKING_TRANSITIONS[normalizeBookingStatus(value)] || []).length === 0;
+
+module.exports = {
+    BOOKING_STATUSES,
+    BOOKING_STATUS_ORDER,
+    BOOKING_TRANSITIONS,
+    LEGACY_STATUS_ALIASES,
+    canTransition,
+    getStoredStatusValues,
+    isFinalStatus,
+    normalizeBookingStatus,
+};
@@ -0,0 +1,95 @@
+// Refunds for bookings the renter cancels. A full refund up to freeCancellationHours before pickup,
+// partialRefundPercent of the price after that until pickup, nothing once the pickup time has passed.
+// A booking can carry its own cancellationPolicy (set by the owner) that overrides these defaults.
+// Shared by the app, which previews the refund in the booking history, and the cancelBooking function
+// in functions/index.js, which works out the refund that's recorded, on the server's clock.
+//
+// Everything is computed on absolute instants, so the time zone doesn't change the result. The one
+// exception is a date-only startDate ("2024-06-03"): that's read as the start of the day in the local
+// time zone, like the dates shown in the bookings list. On the device that's the renter's zone; Cloud
+// Functions run in UTC, so the server's refund counts from midnight UTC and can land in another tier
+// than the preview. cancelBooking therefore only goes ahead with the amount the renter confirmed.
+
+const DEFAULT_CANCELLATION_POLICY = {
+    freeCancellationHours: 48,
+    partialRefundPercent: 50,
+};
+
+const CANCELLATION_REASONS = [
+    "Change of plans",
+    "Found another car",
+    "Booked by mistake",
+    "Problem with the owner",
+    "Something else",
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Pickup time as a Date. startDate may be a Firestore Timestamp, a Date or an ISO string.
+const getPickupTime = (startDate) => {
+    if (!startDate) return null;
+    if (startDate.toDate) return startDate.toDate();
+    if (startDate instanceof Date) return isNaN(startDate.getTime()) ? null : startDate;
+
+    const dateOnly = DATE_ONLY.exec(String(startDate).trim());
+    const date = dateOnly
+        ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]))
+        : new Date(startDate);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+const getCancellationPolicy = (booking) => ({
+    ...DEFAULT_CANCELLATION_POLICY,
+    ...(booking?.cancellationPolicy || {}),
+});
+
+// What cancelling now would refund:
+//   { tier: "free" | "partial" | "none", refundPercent, refundAmount, fee, freeUntil, hoursBeforePickup }
+// Amounts are rounded to cents. Exactly freeCancellationHours before pickup still counts as free, and
+// exactly at pickup time as too late. Without a usable pickup time the refund is full: the renter
+// shouldn't pay for missing data.
+const calculateRefund = ({ price, startDate, policy = DEFAULT_CANCELLATION_POLICY, now = new Date() }) => {
+    const priceCents = Math.max(0, Math.round((parseFloat(price) || 0) * 100));
+    const pickup = getPickupTime(startDate);
+    const nowMs = now instanceof Date ? now.getTime() : now;
+    const freeHours = Math.max(0, Number(policy.freeCancellationHours) || 0);
+    const partialPercent = Math.min(100, Math.max(0, Number(policy.partialRefundPercent) || 0));
+
+    let tier = "free";
+    let refundPercent = 100;
+    const msBeforePickup = pickup ? pickup.getTime() - nowMs : null;
+    if (pickup && msBeforePickup <= 0) {
+        tier = "none";
+        refundPercent = 0;
+    } else if (pickup && msBeforePickup < freeHours * HOUR_MS) {
+        tier = "partial";
+        refundPercent = partialPercent;
+    }
+
+    const refundCents = Math.round((priceCents * refundPercent) / 100);
+    return {
+        tier,
+        refundPercent,
+        refundAmount: refundCents / 100,
+        fee: (priceCents - refundCents) / 100,
+        freeUntil: pickup ? new Date(pickup.getTime() - freeHours * HOUR_MS) : null,
+        hoursBeforePickup: msBeforePickup === null ? null : msBeforePickup / HOUR_MS,
+    };
+};
+
+// The policy in words, for the cancellation screen
+const describeCancellationPolicy = (policy = DEFAULT_CANCELLATION_POLICY) => {
+    const { freeCancellationHours, partialRefundPercent } = { ...DEFAULT_CANCELLATION_POLICY, ...policy };
+    const after = partialRefundPercent > 0 ? `${partialRefundPercent}% refund after that` : "no refund after that";
+    return `Free cancellation up to ${freeCancellationHours} hours before pickup, ${after}. No refund once the pickup time has passed.`;
+};
+
+module.exports = {
+    CANCELLATION_REASONS,
+    DEFAULT_CANCELLATION_POLICY,
+    calculateRefund,
+    describeCancellationPolicy,
+    getCancellationPolicy,
+    getPickupTime,
+};
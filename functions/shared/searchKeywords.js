@@ -0,0 +1,23 @@
+// Message search keywords, shared by the app (chatService.js, chatOutbox.js) and the backfill in
+// functions/index.js, so messages indexed on either side are found the same way. Firestore has no
+// full-text search, so each message stores the lowercased prefixes of its words ("gate" -> "ga", "gat",
+// "gate") and the global search looks one of them up with array-contains.
+
+const MAX_KEYWORD_LENGTH = 20;
+
+const getSearchWords = (text) => (text || "").toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+const getSearchKeywords = (text) => {
+    const keywords = new Set();
+    getSearchWords(text).forEach((word) => {
+        for (let length = 2; length <= Math.min(word.length, MAX_KEYWORD_LENGTH); length++) {
+            keywords.add(word.slice(0, length));
+        }
+    });
+    return [...keywords];
+};
+
+// A message is found by its text and by the name of its attached file
+const getMessageSearchText = (message) => `${message.text || ""} ${message.file?.name || ""}`;
+
+module.exports = { MAX_KEYWORD_LENGTH, getMessageSearchText, getSearchKeywords, getSearchWords };
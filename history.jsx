@@ -1,17 +1,20 @@
 import { db } from "@/firebase";
 import { Ionicons } from "@expo/vector-icons";
+import { useLocalSearchParams, useRouter } from "expo-router";
 import { getAuth, onAuthStateChanged } from "firebase/auth";
 import {
     addDoc,
     collection, // Import updateDoc to mark booking as reviewed
     doc,
-    getDocs,
+    getDoc,
+    getDocsFromServer,
+    onSnapshot,
     query,
     Timestamp, // Import addDoc for saving reviews
     updateDoc,
     where,
 } from "firebase/firestore";
-import React, { useCallback, useEffect, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
     ActivityIndicator,
     Alert,
@@ -28,14 +31,38 @@ import {
     View,
 } from "react-native";
 import StarRating from 'react-native-star-rating-widget'; // We'll use this for star ratings
+import {
+    BOOKING_STATUSES,
+    BOOKING_STATUS_ORDER,
+    cancelBooking,
+    canTransition,
+    getBookingStatusColor,
+    getBookingStatusLabel,
+    getStoredStatusValues,
+    normalizeBookingStatus,
+} from "./bookingLifecycle";
+import {
+    CANCELLATION_REASONS,
+    calculateRefund,
+    describeCancellationPolicy,
+    getCancellationPolicy,
+} from "./functions/shared/cancellationPolicy";
+
+const HIGHLIGHT_MS = 4000; // How long a booking whose status just changed stays highlighted
 
 const BookedCarsList = () => {
+    const router = useRouter();
+    const { bookingId: paramBookingId } = useLocalSearchParams(); // Set when opened from a booking card in chat
     const [bookings, setBookings] = useState([]);
     const [loading, setLoading] = useState(true);
     const [searchQuery, setSearchQuery] = useState("");
     const [selectedStatus, setSelectedStatus] = useState("All");
     const [refreshing, setRefreshing] = useState(false);
+    const [listenerRun, setListenerRun] = useState(0); // Bumped to start the bookings listener again
+    const [highlightedIds, setHighlightedIds] = useState({}); // Bookings whose status just changed
     const [currentUser, setCurrentUser] = useState(null);
+    const knownStatuses = useRef({}); // Last status seen per booking, to tell status changes from other edits
+    const highlightTimeouts = useRef({});
     const auth = getAuth();
 
     // Modal State for Booking Details
@@ -48,6 +75,13 @@ const BookedCarsList = () => {
     const [rating, setRating] = useState(0);
     const [reviewText, setReviewText] = useState("");
 
+    // Modal State for Cancellation
+    const [bookingToCancel, setBookingToCancel] = useState(null);
+    const [cancelReason, setCancelReason] = useState(CANCELLATION_REASONS[0]);
+    const [cancelDetails, setCancelDetails] = useState("");
+    const [refundPreview, setRefundPreview] = useState(null); // What the renter was shown before confirming
+    const [cancelling, setCancelling] = useState(false);
+
     // Helper function to safely format dates
     const safeFormatDate = useCallback((firebaseTimestamp) => {
         if (firebaseTimestamp instanceof Timestamp) {
@@ -60,62 +94,110 @@ const BookedCarsList = () => {
         return "N/A";
     }, []);
 
-    const fetchBookings = useCallback(async () => {
-        setLoading(true);
-        setRefreshing(true);
+    // Shapes a bookings document for the list and the details modal
+    const mapBookingDoc = useCallback((bookingDoc) => {
+        const data = bookingDoc.data();
+        return {
+            id: bookingDoc.id,
+            businessName: data.ownerName ?? "Rental Provider",
+            carModel:
+                `${data.vehicleBrand ?? ""} ${data.vehicleModel ?? ""}`.trim() ||
+                "Unknown Car",
+            licensePlate: data.vehicleNumber ?? "N/A",
+            customerName: data.name ?? "Unknown Customer",
+            bookingDate: safeFormatDate(data.timestamp),
+            pickupDate: safeFormatDate(data.startDate),
+            returnDate: safeFormatDate(data.endDate),
+            totalPrice: `$${parseFloat(data.price ?? 0).toFixed(2)}`,
+            status: normalizeBookingStatus(data.status) || data.status, // Canonical; unknown values are kept as they are
+            carImage: data.vehicleImageUrl || "https://via.placeholder.com/150",
+            pickupLocation: data.pickupLocation ?? "Not specified",
+            dropoffLocation: data.dropoffLocation ?? "Not specified",
+            contactNumber: data.contactNumber ?? "N/A",
+            hasReviewed: data.hasReviewed || false, // Track if reviewed
+            cancellation: data.cancellation || null, // Reason and refund, once cancelled
+            // Raw values for the refund calculation
+            price: data.price ?? 0,
+            startDate: data.startDate ?? null,
+            cancellationPolicy: data.cancellationPolicy || null,
+            vehicleId: data.vehicleId, // Ensure vehicleId is passed
+            ownerId: data.ownerId, // Ensure ownerId is passed
+        };
+    }, [safeFormatDate]);
 
-        if (!currentUser) {
-            console.log("[fetchBookings] No logged in user, skipping fetch.");
-            setBookings([]);
-            setLoading(false);
-            setRefreshing(false);
-            return;
-        }
+    const highlightBookings = useCallback((bookingIds) => {
+        setHighlightedIds((current) => {
+            const next = { ...current };
+            bookingIds.forEach((bookingId) => {
+                next[bookingId] = true;
+            });
+            return next;
+        });
+        bookingIds.forEach((bookingId) => {
+            clearTimeout(highlightTimeouts.current[bookingId]);
+            highlightTimeouts.current[bookingId] = setTimeout(() => {
+                setHighlightedIds((current) => {
+                    const next = { ...current };
+                    delete next[bookingId];
+                    return next;
+                });
+            }, HIGHLIGHT_MS);
+        });
+    }, []);
+
+    useEffect(() => {
+        const timeouts = highlightTimeouts.current;
+        return () => Object.values(timeouts).forEach(clearTimeout);
+    }, []);
+
+    // The user's bookings with the selected status
+    const bookingsQuery = useMemo(() => {
+        if (!currentUser) return null;
 
         const bookingsRef = collection(db, "bookings");
         let q = query(bookingsRef, where("userId", "==", currentUser.uid));
 
         if (selectedStatus !== "All") {
-            q = query(q, where("status", "==", selectedStatus));
+            // Older bookings spell the same status differently ("Accepted", "accepdted"...)
+            q = query(q, where("status", "in", getStoredStatusValues(selectedStatus)));
         }
+        return q;
+    }, [currentUser, selectedStatus]);
 
-        try {
-            const snapshot = await getDocs(q);
-            const results = [];
-            snapshot.forEach((doc) => {
-                const data = doc.data();
-                results.push({
-                    id: doc.id,
-                    businessName: data.ownerName ?? "Rental Provider",
-                    carModel:
-                        `${data.vehicleBrand ?? ""} ${data.vehicleModel ?? ""}`.trim() ||
-                        "Unknown Car",
-                    licensePlate: data.vehicleNumber ?? "N/A",
-                    customerName: data.name ?? "Unknown Customer",
-                    bookingDate: safeFormatDate(data.timestamp),
-                    pickupDate: safeFormatDate(data.startDate),
-                    returnDate: safeFormatDate(data.endDate),
-                    totalPrice: `$${parseFloat(data.price ?? 0).toFixed(2)}`,
-                    status: data.status ?? "Pending",
-                    carImage: data.vehicleImageUrl || "https://via.placeholder.com/150",
-                    pickupLocation: data.pickupLocation ?? "Not specified",
-                    dropoffLocation: data.dropoffLocation ?? "Not specified",
-                    contactNumber: data.contactNumber ?? "N/A",
-                    hasReviewed: data.hasReviewed || false, // Track if reviewed
-                    vehicleId: data.vehicleId, // Ensure vehicleId is passed
-                    ownerId: data.ownerId, // Ensure ownerId is passed
-                });
+    // Live list of bookingsQuery. Changing the filter or user replaces the listener; the list on screen
+    // stays until the new one delivers, so there's no spinner in between. A listener that fails stops
+    // for good, so pull-to-refresh starts a new one (listenerRun).
+    useEffect(() => {
+        if (!bookingsQuery) return;
+
+        let firstSnapshot = true;
+        const unsubscribe = onSnapshot(bookingsQuery, (snapshot) => {
+            // The first snapshot only lists what's there; later ones carry the actual changes
+            if (!firstSnapshot) {
+                const changedIds = snapshot.docChanges()
+                    .filter((change) => change.type === "modified"
+                        && change.doc.data().status !== knownStatuses.current[change.doc.id])
+                    .map((change) => change.doc.id);
+                if (changedIds.length > 0) highlightBookings(changedIds);
+            }
+            firstSnapshot = false;
+            snapshot.docs.forEach((bookingDoc) => {
+                knownStatuses.current[bookingDoc.id] = bookingDoc.data().status;
             });
 
+            const results = snapshot.docs.map(mapBookingDoc);
             setBookings(results);
-        } catch (error) {
-            console.error("[fetchBookings] Failed:", error);
+            // Keep an open details modal in sync too
+            setSelectedBookingDetails((current) => (current && results.find((booking) => booking.id === current.id)) || current);
+            setLoading(false);
+        }, (error) => {
+            console.error("[bookings listener] Failed:", error);
             Alert.alert("Error loading bookings", error.message);
-        } finally {
             setLoading(false);
-            setRefreshing(false);
-        }
-    }, [currentUser, selectedStatus, safeFormatDate]);
+        });
+
+        return unsubscribe;
+    }, [bookingsQuery, listenerRun, mapBookingDoc, highlightBookings]);
 
     useEffect(() => {
         const unsubscribe = onAuthStateChanged(auth, (user) => {
@@ -129,13 +211,19 @@ const BookedCarsList = () => {
         return unsubscribe;
     }, [auth]);
 
-    useEffect(() => {
-        fetchBookings();
-    }, [fetchBookings]);
-
+    // Updates arrive by themselves; pulling down asks the server directly in case the listener fell behind
+    // or stopped on an error, and subscribes again. The answer also updates the local cache, so the new
+    // listener delivers whatever was missing.
     const handleRefresh = () => {
+        if (!bookingsQuery) return;
         setRefreshing(true);
-        fetchBookings();
+        setListenerRun((run) => run + 1);
+        getDocsFromServer(bookingsQuery)
+            .catch((error) => {
+                console.error("Error refreshing bookings:", error);
+                Alert.alert("Couldn't refresh", "Check your connection and try again.");
+            })
+            .finally(() => setRefreshing(false));
     };
 
     const filteredBookings = bookings.filter((booking) => {
@@ -149,13 +237,7 @@ const BookedCarsList = () => {
         return matchesSearch;
     });
 
-    const statusOptions = [
-        "All",
-        "Accepted",
-        "Pending",
-        "Completed",
-        "Cancelled",
-    ];
+    const statusOptions = ["All", ...BOOKING_STATUS_ORDER];
 
     // Function to open the booking details modal
     const handleViewDetails = (booking) => {
@@ -163,12 +245,46 @@ const BookedCarsList = () => {
         setDetailsModalVisible(true);
     };
 
+    // Opened from a shared booking card: show that booking's details, even if it isn't one of ours
+    useEffect(() => {
+        if (!paramBookingId || !currentUser) return;
+        getDoc(doc(db, "bookings", paramBookingId))
+            .then((bookingSnap) => {
+                if (!bookingSnap.exists()) {
+                    Alert.alert("Booking not found", "This booking no longer exists.");
+                    return;
+                }
+                handleViewDetails(mapBookingDoc(bookingSnap));
+            })
+            .catch((error) => {
+                console.error("Error loading shared booking:", error);
+                Alert.alert("Error", "Could not open the booking: " + error.message);
+            });
+    }, [paramBookingId, currentUser, mapBookingDoc]);
+
     // Function to close the booking details modal
     const closeDetailsModal = () => {
         setDetailsModalVisible(false);
         setSelectedBookingDetails(null);
     };
 
+    // Open the chat thread that belongs to this booking
+    const handleContactPress = (booking) => {
+        if (!booking.ownerId) {
+            Alert.alert("Contact", "This booking has no rental provider to message.");
+            return;
+        }
+        router.push({
+            pathname: `/chat/${booking.ownerId}`,
+            params: {
+                recipientId: booking.ownerId,
+                recipientName: booking.businessName,
+                vehicleName: booking.carModel,
+                bookingId: booking.id,
+            },
+        });
+    };
+
     // Function to open the review modal
     const handleReviewPress = (booking) => {
         if (booking.hasReviewed) {
@@ -204,8 +320,7 @@ const BookedCarsList = () => {
             });
 
             Alert.alert("Success", "Your review has been submitted!");
-            closeReviewModal();
-            fetchBookings(); // Refresh bookings to update 'hasReviewed' status
+            closeReviewModal(); // The listener picks up hasReviewed
         } catch (error) {
             console.error("Error submitting review:", error);
             Alert.alert("Error", "Failed to submit review: " + error.message);
@@ -220,17 +335,75 @@ const BookedCarsList = () => {
         setReviewText("");
     };
 
+    const formatAmount = (amount) => `$${amount.toFixed(2)}`;
+
+    const getRefundPreview = (booking) => calculateRefund({
+        price: booking.price,
+        startDate: booking.startDate,
+        policy: getCancellationPolicy(booking),
+    });
+
+    const handleCancelPress = (booking) => {
+        setBookingToCancel(booking);
+        setCancelReason(CANCELLATION_REASONS[0]);
+        setCancelDetails("");
+        setRefundPreview(getRefundPreview(booking));
+    };
+
+    const closeCancelModal = () => {
+        if (cancelling) return;
+        setBookingToCancel(null);
+        setRefundPreview(null);
+    };
+
+    const handleConfirmCancellation = async () => {
+        if (!bookingToCancel || cancelling) return;
+
+        setCancelling(true);
+        try {
+            const refund = await cancelBooking(bookingToCancel.id, {
+                reason: cancelReason,
+                details: cancelDetails,
+                confirmedRefundAmount: refundPreview.refundAmount,
+            });
+            setCancelling(false);
+            setBookingToCancel(null);
+            setRefundPreview(null);
+            Alert.alert(
+                "Booking Cancelled",
+                refund.refundAmount > 0
+                    ? `You will be refunded ${formatAmount(refund.refundAmount)}.`
+                    : "This cancellation is not eligible for a refund."
+            ); // The listener picks up the new status
+        } catch (error) {
+            setCancelling(false);
+            // The server's refund differs from the preview (the modal sat open across a tier, or the
+            // device's clock or time zone disagrees); nothing was cancelled, so show its figure instead
+            if (error.code === "functions/failed-precondition" && error.details?.refundAmount !== undefined) {
+                const { freeUntil, ...refund } = error.details;
+                setRefundPreview({ ...refund, freeUntil: freeUntil ? new Date(freeUntil) : null });
+                Alert.alert(
+                    "Refund Changed",
+                    `Your refund is now ${formatAmount(refund.refundAmount)}. Please review it and confirm again.`
+                );
+                return;
+            }
+            console.error("Error cancelling booking:", error);
+            Alert.alert("Error", "Failed to cancel booking: " + error.message);
+        }
+    };
+
     const renderBookingItem = ({ item }) => (
-        <View style={styles.bookingCard}>
+        <View style={[styles.bookingCard, highlightedIds[item.id] && styles.bookingCardHighlighted]}>
             <View style={styles.cardHeader}>
                 <Text style={styles.businessName}>{item.businessName}</Text>
                 <View
                     style={[
                         styles.statusBadge,
-                        { backgroundColor: getStatusColor(item.status) },
+                        { backgroundColor: getBookingStatusColor(item.status) },
                     ]}
                 >
-                    <Text style={styles.statusText}>{item.status}</Text>
+                    <Text style={styles.statusText}>{getBookingStatusLabel(item.status)}</Text>
                 </View>
             </View>
 
@@ -271,7 +444,7 @@ const BookedCarsList = () => {
                 >
                     <Text style={styles.actionText}>View Details</Text>
                 </TouchableOpacity>
-                {item.status === "completed" && !item.hasReviewed && ( // Only show review button if completed and not reviewed
+                {item.status === BOOKING_STATUSES.COMPLETED && !item.hasReviewed && ( // Only show review button if completed and not reviewed
                     <TouchableOpacity
                         style={[styles.actionButton, styles.primaryButton]}
                         onPress={() => handleReviewPress(item)}
@@ -279,15 +452,23 @@ const BookedCarsList = () => {
                         <Text style={[styles.actionText, { color: "white" }]}>Leave Review</Text>
                     </TouchableOpacity>
                 )}
-                {item.status === "completed" && item.hasReviewed && ( // Show "Reviewed" if completed and reviewed
+                {item.status === BOOKING_STATUSES.COMPLETED && item.hasReviewed && ( // Show "Reviewed" if completed and reviewed
                     <View style={[styles.actionButton, styles.reviewedButton]}>
                         <Text style={[styles.actionText, { color: "green" }]}>Reviewed</Text>
                     </View>
                 )}
-                {item.status !== "completed" && ( // Show Contact if not completed
+                {canTransition(item.status, BOOKING_STATUSES.CANCELLED) && ( // Pending and accepted bookings
+                    <TouchableOpacity
+                        style={[styles.actionButton, styles.cancelButton]}
+                        onPress={() => handleCancelPress(item)}
+                    >
+                        <Text style={[styles.actionText, { color: "#F44336" }]}>Cancel</Text>
+                    </TouchableOpacity>
+                )}
+                {item.status !== BOOKING_STATUSES.COMPLETED && ( // Show Contact if not completed
                     <TouchableOpacity
                         style={[styles.actionButton, styles.primaryButton]}
-                        onPress={() => Alert.alert("Contact", `Contact ${item.customerName}`)}
+                        onPress={() => handleContactPress(item)}
                     >
                         <Text style={[styles.actionText, { color: "white" }]}>Contact</Text>
                     </TouchableOpacity>
@@ -296,21 +477,6 @@ const BookedCarsList = () => {
         </View>
     );
 
-    const getStatusColor = (status) => {
-        switch (status) {
-            case "accepdted":
-                return "#4CAF50";
-            case "pending":
-                return "#FFC107";
-            case "completed":
-                return "#2196F3";
-            case "cancelled":
-                return "#F44336";
-            default:
-                return "#9E9E9E";
-        }
-    };
-
     if (loading && !refreshing) {
         return (
             <SafeAreaView style={[styles.container, styles.loadingContainer]}>
@@ -366,7 +532,7 @@ const BookedCarsList = () => {
                                 selectedStatus === status && styles.filterButtonTextActive,
                             ]}
                         >
-                            {status}
+                            {status === "All" ? status : getBookingStatusLabel(status)}
                         </Text>
                     </TouchableOpacity>
                 ))}
@@ -376,6 +542,7 @@ const BookedCarsList = () => {
                 data={filteredBookings}
                 renderItem={renderBookingItem}
                 keyExtractor={(item) => item.id}
+                extraData={highlightedIds}
                 contentContainerStyle={styles.listContent}
                 ListEmptyComponent={
                     <View style={styles.emptyContainer}>
@@ -384,12 +551,12 @@ const BookedCarsList = () => {
                             {currentUser
                                 ? selectedStatus === "All"
                                     ? "No bookings found."
-                                    : `No "${selectedStatus}" bookings found.`
+                                    : `No "${getBookingStatusLabel(selectedStatus)}" bookings found.`
                                 : "Please sign in to view bookings"}
                         </Text>
                         <TouchableOpacity
                             style={styles.retryButton}
-                            onPress={fetchBookings}
+                            onPress={handleRefresh}
                         >
                             <Text style={styles.retryButtonText}>Refresh</Text>
                         </TouchableOpacity>
@@ -455,8 +622,23 @@ const BookedCarsList = () => {
                                 </Text>
                                 <Text style={styles.modalDetailText}>
                                     <Text style={styles.modalDetailLabel}>Status:</Text>{" "}
-                                    {selectedBookingDetails.status}
+                                    {getBookingStatusLabel(selectedBookingDetails.status)}
                                 </Text>
+                                {selectedBookingDetails.cancellation && (
+                                    <>
+                                        <Text style={styles.modalDetailText}>
+                                            <Text style={styles.modalDetailLabel}>Cancellation Reason:</Text>{" "}
+                                            {selectedBookingDetails.cancellation.reason}
+                                            {selectedBookingDetails.cancellation.details
+                                                ? ` (${selectedBookingDetails.cancellation.details})`
+                                                : ""}
+                                        </Text>
+                                        <Text style={styles.modalDetailText}>
+                                            <Text style={styles.modalDetailLabel}>Refund:</Text>{" "}
+                                            {formatAmount(selectedBookingDetails.cancellation.refundAmount)}
+                                        </Text>
+                                    </>
+                                )}
                                 <Text style={styles.modalDetailText}>
                                     <Text style={styles.modalDetailLabel}>Pickup Location:</Text>{" "}
                                     {selectedBookingDetails.pickupLocation}
@@ -527,6 +709,98 @@ const BookedCarsList = () => {
                     </View>
                 </View>
             </Modal>
+
+            {/* Cancellation Modal */}
+            <Modal
+                animationType="slide"
+                transparent={true}
+                visible={!!bookingToCancel}
+                onRequestClose={closeCancelModal}
+            >
+                <View style={styles.modalOverlay}>
+                    <View style={styles.modalContent}>
+                        <Text style={styles.modalTitle}>Cancel Booking</Text>
+                        {bookingToCancel && refundPreview && (
+                            <>
+                                <Text style={styles.reviewModalCar}>
+                                    {bookingToCancel.carModel} from {bookingToCancel.businessName}
+                                </Text>
+                                <Text style={styles.cancelPolicyText}>
+                                    {describeCancellationPolicy(getCancellationPolicy(bookingToCancel))}
+                                </Text>
+                                <View style={styles.refundSummary}>
+                                    <Text style={styles.modalDetailText}>
+                                        <Text style={styles.modalDetailLabel}>Refund:</Text>{" "}
+                                        {formatAmount(refundPreview.refundAmount)} ({refundPreview.refundPercent}%)
+                                    </Text>
+                                    {refundPreview.fee > 0 && (
+                                        <Text style={styles.modalDetailText}>
+                                            <Text style={styles.modalDetailLabel}>Cancellation Fee:</Text>{" "}
+                                            {formatAmount(refundPreview.fee)}
+                                        </Text>
+                                    )}
+                                    {refundPreview.tier === "free" && refundPreview.freeUntil && (
+                                        <Text style={styles.refundNote}>
+                                            Free cancellation until {refundPreview.freeUntil.toLocaleString()}
+                                        </Text>
+                                    )}
+                                </View>
+                                <Text style={styles.cancelReasonTitle}>Reason</Text>
+                                <View style={styles.cancelReasonList}>
+                                    {CANCELLATION_REASONS.map((reason) => (
+                                        <TouchableOpacity
+                                            key={reason}
+                                            style={[
+                                                styles.filterButton,
+                                                cancelReason === reason && styles.filterButtonActive,
+                                            ]}
+                                            onPress={() => setCancelReason(reason)}
+                                        >
+                                            <Text
+                                                style={[
+                                                    styles.filterButtonText,
+                                                    cancelReason === reason && styles.filterButtonTextActive,
+                                                ]}
+                                            >
+                                                {reason}
+                                            </Text>
+                                        </TouchableOpacity>
+                                    ))}
+                                </View>
+                                <TextInput
+                                    style={styles.reviewTextInput}
+                                    placeholder="Anything the owner should know? (optional)"
+                                    placeholderTextColor="#999"
+                                    multiline
+                                    numberOfLines={3}
+                                    value={cancelDetails}
+                                    onChangeText={setCancelDetails}
+                                />
+                                <View style={styles.modalButtonContainer}>
+                                    <TouchableOpacity
+                                        style={styles.modalCloseButton}
+                                        onPress={closeCancelModal}
+                                        disabled={cancelling}
+                                    >
+                                        <Text style={styles.modalCloseButtonText}>Keep Booking</Text>
+                                    </TouchableOpacity>
+                                    <TouchableOpacity
+                                        style={[styles.modalCloseButton, styles.modalConfirmCancelButton]}
+                                        onPress={handleConfirmCancellation}
+                                        disabled={cancelling}
+                                    >
+                                        {cancelling ? (
+                                            <ActivityIndicator color="white" />
+                                        ) : (
+                                            <Text style={styles.modalCloseButtonText}>Confirm</Text>
+                                        )}
+                                    </TouchableOpacity>
+                                </View>
+                            </>
+                        )}
+                    </View>
+                </View>
+            </Modal>
         </SafeAreaView>
     );
 };
@@ -607,6 +881,11 @@ const styles = StyleSheet.create({
         overflow: "hidden",
         elevation: 2,
     },
+    bookingCardHighlighted: {
+        backgroundColor: "#FFF8E1",
+        borderWidth: 2,
+        borderColor: "#FFC107",
+    },
     cardHeader: {
         flexDirection: "row",
         justifyContent: "space-between",
@@ -816,7 +1095,45 @@ const styles = StyleSheet.create({
     reviewedButton: {
         backgroundColor: '#E0E0E0', // Light grey
         borderColor: '#CCC',
-    }
+    },
+
+    // Cancellation Modal specific styles
+    cancelButton: {
+        borderColor: "#F44336",
+    },
+    cancelPolicyText: {
+        fontSize: 14,
+        color: "#666",
+        textAlign: "center",
+        marginBottom: 12,
+    },
+    refundSummary: {
+        width: "100%",
+        padding: 10,
+        borderRadius: 8,
+        backgroundColor: "#f5f5f5",
+        marginBottom: 12,
+    },
+    refundNote: {
+        fontSize: 13,
+        color: "#4CAF50",
+    },
+    cancelReasonTitle: {
+        alignSelf: "flex-start",
+        fontWeight: "bold",
+        color: "#333",
+        marginBottom: 6,
+    },
+    cancelReasonList: {
+        flexDirection: "row",
+        flexWrap: "wrap",
+        width: "100%",
+        marginBottom: 10,
+    },
+    modalConfirmCancelButton: {
+        backgroundColor: "#F44336", // Red for a destructive action
+        marginLeft: 10,
+    },
 });
 
 export default BookedCarsList;
\ No newline at end of file
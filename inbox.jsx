@@ -0,0 +1,570 @@
+import { auth } from "@/firebase"; // Your Firebase config
+import { MaterialIcons } from "@expo/vector-icons";
+import { useRouter } from "expo-router";
+import React, { useEffect, useRef, useState } from "react";
+import {
+    ActivityIndicator,
+    Alert,
+    FlatList,
+    Image,
+    Platform,
+    SafeAreaView,
+    StatusBar,
+    StyleSheet,
+    Text,
+    TouchableOpacity,
+    View,
+} from "react-native";
+import Swipeable from "react-native-gesture-handler/Swipeable";
+import { subscribeToIncomingCalls } from "./callService";
+import {
+    DEFAULT_CHAT_PREFERENCES,
+    isChatArchived,
+    isChatMuted,
+    markMessagesDelivered,
+    muteChat,
+    MUTE_DURATIONS,
+    resetUnreadCount,
+    setChatArchived,
+    setChatMarkedUnread,
+    setChatPinned,
+    subscribeToChatPreferences,
+    subscribeToUserChats,
+    unmuteChat,
+} from "./chatService";
+import { registerForPushNotifications, useNotificationRouting } from "./notifications";
+import { startPresence } from "./presence";
+
+// Short relative time for the conversation list, e.g. "now", "5m", "3h", "Yesterday", "Jan 1"
+const formatRelativeTime = (timestamp) => {
+    if (!timestamp) return "";
+    const date = timestamp instanceof Date ? timestamp : timestamp.toDate();
+    const diffMinutes = Math.floor((Date.now() - date.getTime()) / 60000);
+
+    if (diffMinutes < 1) return "now";
+    if (diffMinutes < 60) return `${diffMinutes}m`;
+
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const messageDay = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const diffDays = Math.round((today.getTime() - messageDay.getTime()) / (24 * 60 * 60 * 1000));
+
+    if (diffDays === 0) return `${Math.floor(diffMinutes / 60)}h`;
+    if (diffDays === 1) return "Yesterday";
+    if (diffDays < 7) return date.toLocaleDateString([], { weekday: "short" }); // e.g., "Mon"
+    return date.toLocaleDateString([], { month: "short", day: "numeric" }); // e.g., "Jan 1"
+};
+
+const InboxScreen = () => {
+    const router = useRouter();
+    const [loading, setLoading] = useState(true);
+    const [currentUserUid, setCurrentUserUid] = useState(null);
+    const [conversations, setConversations] = useState([]);
+    const [chatPreferences, setChatPreferences] = useState({}); // chatId -> our pin/mute/archive settings
+    const [showArchived, setShowArchived] = useState(false);
+    const swipeableRefs = useRef({});
+    // Last message timestamp we've already acknowledged as delivered, per chat
+    const deliveredUpTo = useRef({});
+
+    useEffect(() => {
+        const unsubscribeAuth = auth.onAuthStateChanged((user) => {
+            if (user) {
+                setCurrentUserUid(user.uid);
+            } else {
+                router.replace('/login'); // Redirect if not authenticated
+            }
+        });
+
+        return () => unsubscribeAuth();
+    }, [router]);
+
+    // Browsing the inbox counts as being online
+    useEffect(() => startPresence(currentUserUid), [currentUserUid]);
+
+    // Save this device's push token so new messages reach us while the app is closed
+    useEffect(() => {
+        registerForPushNotifications(currentUserUid);
+    }, [currentUserUid]);
+    useNotificationRouting();
+
+    // Incoming calls ring from the inbox too, not only from inside a chat
+    useEffect(() => {
+        if (!currentUserUid) return;
+        return subscribeToIncomingCalls(currentUserUid, ({ chatId, callId }) => {
+            router.push({ pathname: "/call", params: { chatId, callId } });
+        });
+    }, [currentUserUid, router]);
+
+    useEffect(() => {
+        if (!currentUserUid) return;
+
+        const unsubscribe = subscribeToUserChats(currentUserUid, (snapshot) => {
+            const fetchedConversations = snapshot.docs.map((chatDoc) => {
+                const data = chatDoc.data();
+                const otherUserId = data.participants.find((uid) => uid !== currentUserUid) || currentUserUid;
+                return {
+                    id: chatDoc.id,
+                    isGroup: !!data.isGroup,
+                    otherUserId,
+                    // Groups are listed under their title instead of a person
+                    otherUserName: data.isGroup
+                        ? data.title || "Group chat"
+                        : data.participantNames?.[otherUserId] || "Unknown User",
+                    otherUserImage: data.isGroup ? null : data.participantImages?.[otherUserId] || null,
+                    lastMessageText: data.lastMessageText || "",
+                    lastMessageTimestamp: data.lastMessageTimestamp,
+                    lastMessageSenderId: data.lastMessageSenderId || null,
+                    lastMessageSenderName: data.participantNames?.[data.lastMessageSenderId] || null,
+                    vehicleName: data.vehicleName || null,
+                    bookingId: data.bookingId || null,
+                    unreadCount: data.unreadCounts?.[currentUserUid] || 0,
+                };
+            });
+            setConversations(fetchedConversations);
+            setLoading(false);
+
+            // Messages that reached this device are delivered, even if the thread hasn't been opened yet
+            fetchedConversations
+                .filter((chat) => chat.unreadCount > 0 && chat.lastMessageTimestamp)
+                .forEach((chat) => {
+                    const lastMillis = chat.lastMessageTimestamp.toMillis();
+                    if (deliveredUpTo.current[chat.id] === lastMillis) return;
+                    deliveredUpTo.current[chat.id] = lastMillis;
+                    markMessagesDelivered(chat.id, chat.unreadCount, currentUserUid)
+                        .catch((error) => console.error("Error marking messages as delivered:", error));
+                });
+        }, (error) => {
+            console.error("Error fetching conversations:", error);
+            setLoading(false);
+        });
+
+        return () => unsubscribe(); // Cleanup listener
+    }, [currentUserUid]);
+
+    useEffect(() => {
+        if (!currentUserUid) return;
+        return subscribeToChatPreferences(currentUserUid, setChatPreferences, (error) => {
+            console.error("Error fetching chat preferences:", error);
+        });
+    }, [currentUserUid]);
+
+    // Pinned chats first, otherwise newest first as the query returns them. Archived chats have their own list
+    // and come back by themselves when a new message arrives.
+    const conversationsWithPreferences = conversations.map((chat) => {
+        const preferences = chatPreferences[chat.id] || DEFAULT_CHAT_PREFERENCES;
+        return {
+            ...chat,
+            pinned: preferences.pinned,
+            muted: isChatMuted(preferences),
+            archived: isChatArchived(preferences, chat.lastMessageTimestamp),
+            markedUnread: preferences.markedUnread,
+        };
+    });
+    const archivedCount = conversationsWithPreferences.filter((chat) => chat.archived).length;
+    const listedConversations = conversationsWithPreferences
+        .filter((chat) => chat.archived === showArchived)
+        .sort((a, b) => b.pinned - a.pinned);
+
+    // Runs a preference change from a swipe action and closes the row again
+    const updatePreference = (chatId, update) => {
+        swipeableRefs.current[chatId]?.close();
+        update.catch((error) => {
+            console.error("Error updating chat preferences:", error);
+            Alert.alert("Error", "Could not update the conversation: " + error.message);
+        });
+    };
+
+    const chooseMuteDuration = (chatId) => {
+        swipeableRefs.current[chatId]?.close();
+        Alert.alert("Mute notifications", null, [
+            ...MUTE_DURATIONS.map(({ label, ms }) => ({
+                text: label,
+                onPress: () => updatePreference(chatId, muteChat(chatId, currentUserUid, ms)),
+            })),
+            // Android only shows three buttons; tapping outside the dialog cancels there
+            ...(Platform.OS === "ios" ? [{ text: "Cancel", style: "cancel" }] : []),
+        ], { cancelable: true });
+    };
+
+    const toggleRead = (chat) => {
+        if (chat.unreadCount > 0 || chat.markedUnread) {
+            updatePreference(chat.id, Promise.all([
+                ...(chat.markedUnread ? [setChatMarkedUnread(chat.id, currentUserUid, false)] : []),
+                ...(chat.unreadCount > 0 ? [resetUnreadCount(chat.id, currentUserUid)] : []),
+            ]));
+        } else {
+            updatePreference(chat.id, setChatMarkedUnread(chat.id, currentUserUid, true));
+        }
+    };
+
+    const renderSwipeAction = ({ icon, label, color, onPress }) => (
+        <TouchableOpacity key={label} style={[styles.swipeAction, { backgroundColor: color }]} onPress={onPress}>
+            <MaterialIcons name={icon} size={22} color="white" />
+            <Text style={styles.swipeActionText}>{label}</Text>
+        </TouchableOpacity>
+    );
+
+    const renderConversationItem = ({ item }) => {
+        const isUnread = item.unreadCount > 0 || item.markedUnread;
+        let previewPrefix = "";
+        if (item.lastMessageSenderId === currentUserUid) {
+            previewPrefix = "You: ";
+        } else if (item.isGroup && item.lastMessageSenderName) {
+            previewPrefix = `${item.lastMessageSenderName.split(" ")[0]}: `;
+        }
+
+        return (
+            <Swipeable
+                ref={(swipeable) => {
+                    swipeableRefs.current[item.id] = swipeable;
+                }}
+                renderLeftActions={() => renderSwipeAction({
+                    icon: isUnread ? "mark-chat-read" : "mark-chat-unread",
+                    label: isUnread ? "Read" : "Unread",
+                    color: "#4285F4",
+                    onPress: () => toggleRead(item),
+                })}
+                renderRightActions={() => (
+                    <View style={styles.swipeActions}>
+                        {renderSwipeAction({
+                            icon: "push-pin",
+                            label: item.pinned ? "Unpin" : "Pin",
+                            color: "#8E8E93",
+                            onPress: () => updatePreference(item.id, setChatPinned(item.id, currentUserUid, !item.pinned)),
+                        })}
+                        {renderSwipeAction({
+                            icon: item.muted ? "notifications-active" : "notifications-off",
+                            label: item.muted ? "Unmute" : "Mute",
+                            color: "#FB8C00",
+                            onPress: () => (item.muted
+                                ? updatePreference(item.id, unmuteChat(item.id, currentUserUid))
+                                : chooseMuteDuration(item.id)),
+                        })}
+                        {renderSwipeAction({
+                            icon: item.archived ? "unarchive" : "archive",
+                            label: item.archived ? "Unarchive" : "Archive",
+                            color: "#5E6B7A",
+                            onPress: () => updatePreference(item.id, setChatArchived(item.id, currentUserUid, !item.archived)),
+                        })}
+                    </View>
+                )}
+            >
+                <TouchableOpacity
+                    style={styles.conversationItem}
+                    onPress={() => {
+                        if (item.isGroup) {
+                            router.push({ pathname: `/chat/${item.id}`, params: { chatId: item.id, title: item.otherUserName } });
+                            return;
+                        }
+                        // Same params NewChatScreen passes, plus the vehicle/booking context stored on the chat
+                        router.push({
+                            pathname: `/chat/${item.otherUserId}`,
+                            params: {
+                                recipientId: item.otherUserId,
+                                recipientName: item.otherUserName,
+                                recipientImage: item.otherUserImage,
+                                vehicleName: item.vehicleName,
+                                bookingId: item.bookingId,
+                            },
+                        });
+                    }}
+                >
+                    {item.isGroup ? (
+                        <View style={[styles.avatar, styles.groupAvatar]}>
+                            <MaterialIcons name="group" size={28} color="white" />
+                        </View>
+                    ) : (
+                        <Image
+                            source={{ uri: item.otherUserImage || 'https://via.placeholder.com/150/CCCCCC/FFFFFF?text=User' }}
+                            style={styles.avatar}
+                        />
+                    )}
+                    <View style={styles.conversationInfo}>
+                        <View style={styles.conversationTopRow}>
+                            <Text style={[styles.conversationName, isUnread && styles.unreadText]} numberOfLines={1}>
+                                {item.otherUserName}
+                            </Text>
+                            {item.muted && <MaterialIcons name="notifications-off" size={16} color="#999" style={styles.statusIcon} />}
+                            {item.pinned && <MaterialIcons name="push-pin" size={16} color="#999" style={styles.statusIcon} />}
+                            <Text style={[styles.conversationTime, isUnread && styles.unreadTime]}>
+                                {formatRelativeTime(item.lastMessageTimestamp)}
+                            </Text>
+                        </View>
+                        {item.vehicleName && (
+                            <Text style={styles.vehicleContext} numberOfLines={1}>{item.vehicleName}</Text>
+                        )}
+                        <View style={styles.conversationBottomRow}>
+                            <Text style={[styles.lastMessage, isUnread && styles.unreadText]} numberOfLines={1}>
+                                {previewPrefix}{item.lastMessageText}
+                            </Text>
+                            {item.unreadCount > 0 && (
+                                <View style={[styles.unreadBadge, item.muted && styles.mutedBadge]}>
+                                    <Text style={styles.unreadBadgeText}>
+                                        {item.unreadCount > 99 ? "99+" : item.unreadCount}
+                                    </Text>
+                                </View>
+                            )}
+                            {/* Marked unread by hand: a dot instead of a count */}
+                            {item.unreadCount === 0 && item.markedUnread && <View style={styles.unreadDot} />}
+                        </View>
+                    </View>
+                </TouchableOpacity>
+            </Swipeable>
+        );
+    };
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <StatusBar barStyle="dark-content" backgroundColor="#F5F5F5" />
+
+            <View style={styles.header}>
+                <TouchableOpacity style={styles.headerIcon} onPress={() => (showArchived ? setShowArchived(false) : router.back())}>
+                    <MaterialIcons name="arrow-back" size={26} color="#333" />
+                </TouchableOpacity>
+                <Text style={styles.headerTitle}>{showArchived ? "Archived" : "Messages"}</Text>
+                <View style={styles.headerRightIcons}>
+                    <TouchableOpacity style={styles.headerIcon} onPress={() => router.push('/search')}>
+                        <MaterialIcons name="search" size={24} color="#333" />
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.headerIcon} onPress={() => router.push('/NewChat')}>
+                        <MaterialIcons name="edit" size={24} color="#333" />
+                    </TouchableOpacity>
+                </View>
+            </View>
+
+            {loading ? (
+                <View style={styles.loadingContainer}>
+                    <ActivityIndicator size="large" color="#4285F4" />
+                </View>
+            ) : (
+                <FlatList
+                    data={listedConversations}
+                    renderItem={renderConversationItem}
+                    keyExtractor={(item) => item.id}
+                    showsVerticalScrollIndicator={false}
+                    ListHeaderComponent={!showArchived && archivedCount > 0 ? (
+                        <TouchableOpacity style={styles.archivedRow} onPress={() => setShowArchived(true)}>
+                            <MaterialIcons name="archive" size={22} color="#666" />
+                            <Text style={styles.archivedRowText}>Archived</Text>
+                            <Text style={styles.archivedRowCount}>{archivedCount}</Text>
+                        </TouchableOpacity>
+                    ) : null}
+                    ListEmptyComponent={() => (showArchived ? (
+                        <View style={styles.emptyListContainer}>
+                            <MaterialIcons name="archive" size={50} color="#ccc" />
+                            <Text style={styles.emptyListText}>No archived conversations.</Text>
+                        </View>
+                    ) : (
+                        <View style={styles.emptyListContainer}>
+                            <MaterialIcons name="chat-bubble-outline" size={50} color="#ccc" />
+                            <Text style={styles.emptyListText}>No conversations yet.</Text>
+                            <TouchableOpacity style={styles.startChatButton} onPress={() => router.push('/NewChat')}>
+                                <Text style={styles.startChatButtonText}>Start a chat</Text>
+                            </TouchableOpacity>
+                        </View>
+                    ))}
+                />
+            )}
+        </SafeAreaView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: "#F5F5F5",
+    },
+    loadingContainer: {
+        flex: 1,
+        justifyContent: "center",
+        alignItems: "center",
+        backgroundColor: "#F5F5F5",
+    },
+    header: {
+        flexDirection: "row",
+        alignItems: "center",
+        justifyContent: "space-between",
+        paddingHorizontal: 15,
+        paddingVertical: 12,
+        backgroundColor: "white",
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: "#E0E0E0",
+        ...Platform.select({
+            ios: {
+                shadowColor: '#000',
+                shadowOffset: { width: 0, height: 1 },
+                shadowOpacity: 0.1,
+                shadowRadius: 2,
+            },
+            android: {
+                elevation: 3,
+            },
+        }),
+    },
+    headerIcon: {
+        padding: 5,
+    },
+    headerRightIcons: {
+        flexDirection: "row",
+        gap: 5,
+    },
+    headerTitle: {
+        fontSize: 20,
+        fontWeight: "bold",
+        color: "#333",
+        flex: 1,
+        textAlign: "center",
+    },
+    conversationItem: {
+        flexDirection: "row",
+        alignItems: "center",
+        paddingVertical: 12,
+        paddingHorizontal: 15,
+        backgroundColor: "white",
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: "#EEE",
+    },
+    avatar: {
+        width: 52,
+        height: 52,
+        borderRadius: 26,
+        backgroundColor: '#C4C4C4',
+        marginRight: 15,
+    },
+    groupAvatar: {
+        backgroundColor: '#4285F4',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    conversationInfo: {
+        flex: 1,
+    },
+    conversationTopRow: {
+        flexDirection: "row",
+        alignItems: "center",
+        justifyContent: "space-between",
+    },
+    conversationName: {
+        fontSize: 17,
+        fontWeight: "600",
+        color: "#333",
+        flex: 1,
+        marginRight: 10,
+    },
+    conversationTime: {
+        fontSize: 12,
+        color: "#888",
+    },
+    vehicleContext: {
+        fontSize: 13,
+        color: "#777",
+        marginTop: 1,
+    },
+    conversationBottomRow: {
+        flexDirection: "row",
+        alignItems: "center",
+        marginTop: 3,
+    },
+    lastMessage: {
+        fontSize: 15,
+        color: "#666",
+        flex: 1,
+    },
+    unreadText: {
+        fontWeight: "bold",
+        color: "#333",
+    },
+    unreadTime: {
+        color: "#4285F4",
+        fontWeight: "600",
+    },
+    unreadBadge: {
+        minWidth: 22,
+        height: 22,
+        borderRadius: 11,
+        paddingHorizontal: 6,
+        marginLeft: 8,
+        backgroundColor: "#4285F4",
+        justifyContent: "center",
+        alignItems: "center",
+    },
+    unreadBadgeText: {
+        color: "white",
+        fontSize: 12,
+        fontWeight: "bold",
+    },
+    statusIcon: {
+        marginRight: 6,
+    },
+    mutedBadge: {
+        backgroundColor: "#AAA",
+    },
+    unreadDot: {
+        width: 12,
+        height: 12,
+        borderRadius: 6,
+        marginLeft: 8,
+        backgroundColor: "#4285F4",
+    },
+    archivedRow: {
+        flexDirection: "row",
+        alignItems: "center",
+        paddingVertical: 14,
+        paddingHorizontal: 20,
+        backgroundColor: "white",
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: "#EEE",
+    },
+    archivedRowText: {
+        flex: 1,
+        fontSize: 16,
+        fontWeight: "600",
+        color: "#333",
+        marginLeft: 18,
+    },
+    archivedRowCount: {
+        fontSize: 14,
+        color: "#888",
+    },
+    swipeActions: {
+        flexDirection: "row",
+    },
+    swipeAction: {
+        width: 76,
+        justifyContent: "center",
+        alignItems: "center",
+    },
+    swipeActionText: {
+        color: "white",
+        fontSize: 12,
+        fontWeight: "600",
+        marginTop: 4,
+    },
+    emptyListContainer: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 20,
+        marginTop: 50,
+    },
+    emptyListText: {
+        fontSize: 16,
+        color: '#888',
+        textAlign: 'center',
+        marginTop: 12,
+    },
+    startChatButton: {
+        marginTop: 20,
+        backgroundColor: "#4285F4",
+        paddingVertical: 10,
+        paddingHorizontal: 20,
+        borderRadius: 8,
+    },
+    startChatButtonText: {
+        color: "white",
+        fontSize: 16,
+        fontWeight: "bold",
+    },
+});
+
+export default InboxScreen;
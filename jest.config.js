@@ -0,0 +1,25 @@
+// Tests run on Node with the app's modules compiled by Babel. Babel is configured here rather than in a
+// babel.config.js so the app's own bundler settings stay untouched.
+const transform = {
+    "\\.jsx?$": ["babel-jest", { presets: [["@babel/preset-env", { targets: { node: "current" } }]] }],
+};
+
+module.exports = {
+    projects: [
+        {
+            // Plain modules, no Firebase needed: npm test
+            displayName: "unit",
+            testEnvironment: "node",
+            testMatch: ["<rootDir>/__tests__/*.test.js"],
+            transform,
+        },
+        {
+            // Needs the Firestore emulator: npm run test:emulator starts one around the run
+            displayName: "emulator",
+            testEnvironment: "node",
+            testMatch: ["<rootDir>/__tests__/emulator/**/*.test.js"],
+            moduleNameMapper: { "^@/firebase$": "<rootDir>/__tests__/emulator/firebase.js" },
+            transform,
+        },
+    ],
+};
@@ -0,0 +1,109 @@
+import { db } from "@/firebase";
+import * as Location from "expo-location";
+import { doc, serverTimestamp, updateDoc } from "firebase/firestore";
+import { Platform } from "react-native";
+
+// Location messages carry a location field:
+//   { kind: "current" | "meetingPoint" | "live", latitude, longitude, address,
+//     expiresAt, updatedAt, stoppedAt }   <- the last three only for live locations (expiresAt and
+//                                            stoppedAt in ms since epoch)
+// A live location is one message whose coordinates the sender's device keeps updating until expiresAt
+// or until they stop sharing; after that it shows the last known position.
+
+export const LIVE_LOCATION_DURATIONS = [
+    { label: "15 minutes", ms: 15 * 60 * 1000 },
+    { label: "1 hour", ms: 60 * 60 * 1000 },
+];
+
+const LIVE_UPDATE_INTERVAL_MS = 15000;
+const LIVE_UPDATE_DISTANCE_M = 20; // Standing still doesn't need a write every 15 seconds
+
+// Shares running on this device, messageId -> { subscription, timeout }
+const liveShares = new Map();
+
+const requestPermission = async () => {
+    const permission = await Location.requestForegroundPermissionsAsync();
+    if (!permission.granted) {
+        throw new Error("Location permission is required to share your location.");
+    }
+};
+
+export const getCurrentPosition = async () => {
+    await requestPermission();
+    const { coords } = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.High });
+    return { latitude: coords.latitude, longitude: coords.longitude };
+};
+
+// Street address for a position, or null when the geocoder has nothing (or is offline)
+export const getAddress = async ({ latitude, longitude }) => {
+    try {
+        const [place] = await Location.reverseGeocodeAsync({ latitude, longitude });
+        if (!place) return null;
+        const street = [place.street, place.streetNumber].filter(Boolean).join(" ") || place.name;
+        return [street, place.city || place.subregion].filter(Boolean).join(", ") || null;
+    } catch (error) {
+        console.error("Error looking up address:", error);
+        return null;
+    }
+};
+
+// Position of a free-text address such as a booking's pickupLocation, or null if it can't be found
+export const findAddress = async (address) => {
+    if (!address?.trim()) return null;
+    try {
+        await requestPermission(); // Geocoding needs it on Android
+        const [result] = await Location.geocodeAsync(address);
+        return result ? { latitude: result.latitude, longitude: result.longitude } : null;
+    } catch (error) {
+        console.error("Error finding address:", error);
+        return null;
+    }
+};
+
+// e.g. "52.52001, 13.40495"
+export const formatCoordinates = ({ latitude, longitude }) => `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`;
+
+// Opens Apple Maps on iOS and Google Maps (app or browser) everywhere else
+export const getMapsUrl = ({ latitude, longitude, address }) => (Platform.OS === "ios"
+    ? `https://maps.apple.com/?ll=${latitude},${longitude}&q=${encodeURIComponent(address || "Shared location")}`
+    : `https://www.google.com/maps/search/?api=1&query=${latitude},${longitude}`);
+
+export const isLiveLocationActive = (location, now = Date.now()) => location.kind === "live"
+    && !location.stoppedAt
+    && now < location.expiresAt;
+
+// Keeps the live location message up to date with this device's position until it expires. Updates
+// only run while the app is open; if it's closed, viewers still see the share end at expiresAt.
+export const startLiveLocation = async ({ chatId, messageId, expiresAt }) => {
+    await requestPermission();
+    const messageRef = doc(db, "chats", chatId, "messages", messageId);
+
+    const subscription = await Location.watchPositionAsync({
+        accuracy: Location.Accuracy.High,
+        timeInterval: LIVE_UPDATE_INTERVAL_MS,
+        distanceInterval: LIVE_UPDATE_DISTANCE_M,
+    }, ({ coords }) => {
+        updateDoc(messageRef, {
+            "location.latitude": coords.latitude,
+            "location.longitude": coords.longitude,
+            "location.updatedAt": serverTimestamp(),
+        }).catch((error) => {
+            // Fails until the outbox has delivered the message; the next position catches up
+            console.error("Error updating live location:", error);
+        });
+    });
+    const timeout = setTimeout(() => stopLiveLocation(chatId, messageId), expiresAt - Date.now());
+    liveShares.set(messageId, { subscription, timeout });
+};
+
+// Also works for shares started before the app was restarted: the message is marked as stopped either way
+export const stopLiveLocation = (chatId, messageId) => {
+    const share = liveShares.get(messageId);
+    if (share) {
+        share.subscription.remove();
+        clearTimeout(share.timeout);
+        liveShares.delete(messageId);
+    }
+    return updateDoc(doc(db, "chats", chatId, "messages", messageId), { "location.stoppedAt": Date.now() })
+        .catch((error) => console.error("Error stopping live location:", error));
+};
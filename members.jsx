@@ -0,0 +1,341 @@
+import { auth } from "@/firebase"; // Your Firebase config
+import { MaterialIcons } from "@expo/vector-icons";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import React, { useEffect, useState } from "react";
+import {
+    ActivityIndicator,
+    Alert,
+    FlatList,
+    Image,
+    Platform,
+    SafeAreaView,
+    StatusBar,
+    StyleSheet,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    View,
+} from "react-native";
+import { addGroupMembers, removeGroupMember, subscribeToChat } from "./chatService";
+import { searchUsers } from "./userService";
+
+// Member list for a group chat: shows everyone in it, lets the creator add and remove
+// people, and lets anyone leave.
+const GroupMembersScreen = () => {
+    const router = useRouter();
+    const { chatId } = useLocalSearchParams();
+    const currentUserUid = auth.currentUser?.uid;
+
+    const [chat, setChat] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [addMode, setAddMode] = useState(false);
+    const [users, setUsers] = useState([]); // Candidates for adding
+    const [searchQuery, setSearchQuery] = useState("");
+
+    useEffect(() => {
+        if (!chatId) return;
+        return subscribeToChat(chatId, (chatData) => {
+            setChat(chatData);
+            setLoading(false);
+        });
+    }, [chatId]);
+
+    // Only search the user directory once someone actually wants to add members
+    useEffect(() => {
+        if (!addMode) return;
+
+        let cancelled = false;
+        const timeout = setTimeout(() => {
+            searchUsers({ term: searchQuery })
+                .then((page) => {
+                    if (!cancelled) setUsers(page.users);
+                })
+                .catch((error) => console.error("Error searching users to add:", error));
+        }, 300);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timeout);
+        };
+    }, [addMode, searchQuery]);
+
+    const isCreator = chat?.createdBy === currentUserUid;
+    const members = (chat?.participants || []).map((uid) => ({
+        id: uid,
+        displayName: chat.participantNames?.[uid] || "Unknown User",
+        profileImage: chat.participantImages?.[uid] || null,
+    }));
+    const candidates = users.filter((user) => !chat?.participants?.includes(user.id));
+
+    const handleAddMember = (user) => {
+        addGroupMembers(chatId, [{ uid: user.id, name: user.displayName, image: user.profileImage }])
+            .catch((error) => {
+                console.error("Error adding group member:", error);
+                Alert.alert("Error", "Could not add member: " + error.message);
+            });
+    };
+
+    const handleRemoveMember = (member) => {
+        Alert.alert("Remove member", `Remove ${member.displayName} from the group?`, [
+            { text: "Cancel", style: "cancel" },
+            {
+                text: "Remove",
+                style: "destructive",
+                onPress: () => removeGroupMember(chatId, member.id).catch((error) => {
+                    console.error("Error removing group member:", error);
+                    Alert.alert("Error", "Could not remove member: " + error.message);
+                }),
+            },
+        ]);
+    };
+
+    const handleLeaveGroup = () => {
+        Alert.alert("Leave group", "You will stop receiving messages from this group.", [
+            { text: "Cancel", style: "cancel" },
+            {
+                text: "Leave",
+                style: "destructive",
+                onPress: async () => {
+                    try {
+                        await removeGroupMember(chatId, currentUserUid);
+                        router.dismissAll?.();
+                        router.replace('/inbox');
+                    } catch (error) {
+                        console.error("Error leaving group:", error);
+                        Alert.alert("Error", "Could not leave the group: " + error.message);
+                    }
+                },
+            },
+        ]);
+    };
+
+    const renderMemberItem = ({ item }) => (
+        <View style={styles.userItem}>
+            <Image
+                source={{ uri: item.profileImage || 'https://via.placeholder.com/150/CCCCCC/FFFFFF?text=User' }}
+                style={styles.userItemImage}
+            />
+            <View style={styles.userItemInfo}>
+                <Text style={styles.userItemName}>
+                    {item.displayName}{item.id === currentUserUid ? " (You)" : ""}
+                </Text>
+                {item.id === chat?.createdBy && <Text style={styles.roleText}>Group creator</Text>}
+            </View>
+            {isCreator && item.id !== currentUserUid && (
+                <TouchableOpacity style={styles.rowAction} onPress={() => handleRemoveMember(item)}>
+                    <MaterialIcons name="remove-circle-outline" size={24} color="#F44336" />
+                </TouchableOpacity>
+            )}
+        </View>
+    );
+
+    const renderCandidateItem = ({ item }) => (
+        <TouchableOpacity style={styles.userItem} onPress={() => handleAddMember(item)}>
+            <Image
+                source={{ uri: item.profileImage || 'https://via.placeholder.com/150/CCCCCC/FFFFFF?text=User' }}
+                style={styles.userItemImage}
+            />
+            <Text style={[styles.userItemName, styles.userItemInfo]}>{item.displayName}</Text>
+            <MaterialIcons name="person-add" size={24} color="#4285F4" style={styles.rowAction} />
+        </TouchableOpacity>
+    );
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <StatusBar barStyle="dark-content" backgroundColor="#F5F5F5" />
+
+            <View style={styles.header}>
+                <TouchableOpacity style={styles.headerIcon} onPress={() => router.back()}>
+                    <MaterialIcons name="arrow-back" size={26} color="#333" />
+                </TouchableOpacity>
+                <Text style={styles.headerTitle} numberOfLines={1}>
+                    {addMode ? "Add Members" : chat?.title || "Members"}
+                </Text>
+                {isCreator ? (
+                    <TouchableOpacity style={styles.headerIcon} onPress={() => setAddMode(!addMode)}>
+                        <MaterialIcons name={addMode ? "done" : "person-add"} size={26} color="#333" />
+                    </TouchableOpacity>
+                ) : (
+                    <View style={styles.headerIconPlaceholder} />
+                )}
+            </View>
+
+            {loading ? (
+                <View style={styles.loadingContainer}>
+                    <ActivityIndicator size="large" color="#4285F4" />
+                </View>
+            ) : addMode ? (
+                <>
+                    <View style={styles.searchBarContainer}>
+                        <MaterialIcons name="search" size={20} color="#8A8A8E" style={styles.searchIcon} />
+                        <TextInput
+                            style={styles.searchInput}
+                            placeholder="Search users..."
+                            placeholderTextColor="#8A8A8E"
+                            value={searchQuery}
+                            onChangeText={setSearchQuery}
+                        />
+                    </View>
+                    <FlatList
+                        data={candidates}
+                        renderItem={renderCandidateItem}
+                        keyExtractor={(item) => item.id}
+                        ListEmptyComponent={() => (
+                            <View style={styles.emptyListContainer}>
+                                <Text style={styles.emptyListText}>No users found.</Text>
+                            </View>
+                        )}
+                    />
+                </>
+            ) : (
+                <FlatList
+                    data={members}
+                    renderItem={renderMemberItem}
+                    keyExtractor={(item) => item.id}
+                    ListHeaderComponent={() => (
+                        <Text style={styles.sectionTitle}>{members.length} members</Text>
+                    )}
+                    ListFooterComponent={() => chat?.participants?.includes(currentUserUid) && (
+                        <TouchableOpacity style={styles.leaveButton} onPress={handleLeaveGroup}>
+                            <MaterialIcons name="exit-to-app" size={22} color="#F44336" />
+                            <Text style={styles.leaveButtonText}>Leave group</Text>
+                        </TouchableOpacity>
+                    )}
+                />
+            )}
+        </SafeAreaView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: "#F5F5F5",
+    },
+    loadingContainer: {
+        flex: 1,
+        justifyContent: "center",
+        alignItems: "center",
+        backgroundColor: "#F5F5F5",
+    },
+    header: {
+        flexDirection: "row",
+        alignItems: "center",
+        justifyContent: "space-between",
+        paddingHorizontal: 15,
+        paddingVertical: 12,
+        backgroundColor: "white",
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: "#E0E0E0",
+        ...Platform.select({
+            ios: {
+                shadowColor: '#000',
+                shadowOffset: { width: 0, height: 1 },
+                shadowOpacity: 0.1,
+                shadowRadius: 2,
+            },
+            android: {
+                elevation: 3,
+            },
+        }),
+    },
+    headerIcon: {
+        padding: 5,
+    },
+    headerIconPlaceholder: {
+        width: 36, // Match the size of the MaterialIcons for alignment
+        height: 36,
+    },
+    headerTitle: {
+        fontSize: 20,
+        fontWeight: "bold",
+        color: "#333",
+        flex: 1,
+        textAlign: "center",
+    },
+    searchBarContainer: {
+        flexDirection: "row",
+        alignItems: "center",
+        backgroundColor: "#E0E0E0",
+        borderRadius: 25,
+        marginHorizontal: 15,
+        marginVertical: 10,
+        paddingHorizontal: 15,
+        paddingVertical: Platform.OS === 'ios' ? 10 : 8,
+    },
+    searchIcon: {
+        marginRight: 10,
+    },
+    searchInput: {
+        flex: 1,
+        color: "#333",
+        fontSize: 16,
+    },
+    sectionTitle: {
+        fontSize: 14,
+        fontWeight: "600",
+        color: "#777",
+        paddingHorizontal: 15,
+        paddingTop: 15,
+        paddingBottom: 8,
+    },
+    userItem: {
+        flexDirection: "row",
+        alignItems: "center",
+        paddingVertical: 15,
+        paddingHorizontal: 15,
+        backgroundColor: "white",
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: "#EEE",
+    },
+    userItemImage: {
+        width: 50,
+        height: 50,
+        borderRadius: 25,
+        backgroundColor: '#C4C4C4',
+        marginRight: 15,
+    },
+    userItemInfo: {
+        flex: 1,
+    },
+    userItemName: {
+        fontSize: 17,
+        fontWeight: "600",
+        color: "#333",
+    },
+    roleText: {
+        fontSize: 13,
+        color: "#4285F4",
+        marginTop: 2,
+    },
+    rowAction: {
+        padding: 5,
+    },
+    leaveButton: {
+        flexDirection: "row",
+        alignItems: "center",
+        justifyContent: "center",
+        marginVertical: 25,
+        padding: 10,
+    },
+    leaveButtonText: {
+        color: "#F44336",
+        fontSize: 16,
+        fontWeight: "bold",
+        marginLeft: 8,
+    },
+    emptyListContainer: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 20,
+        marginTop: 50,
+    },
+    emptyListText: {
+        fontSize: 16,
+        color: '#888',
+        textAlign: 'center',
+    },
+});
+
+export default GroupMembersScreen;
@@ -0,0 +1,86 @@
+import { db } from "@/firebase";
+import {
+    addDoc,
+    collection,
+    deleteDoc,
+    doc,
+    onSnapshot,
+    orderBy,
+    query,
+    serverTimestamp,
+    setDoc,
+} from "firebase/firestore";
+
+// Blocking and reporting.
+//   users/{uid}/blockedUsers/{blockedUid} -> { uid, name, image, blockedAt }
+//   reports/{reportId}                    -> { reporterId, reportedUserId, chatId, messageId, reason, details,
+//                                              message, status, createdAt }
+// A report on a message keeps a copy of it, so review still works after the message is edited or deleted.
+// Blocking is enforced by firestore.rules too: neither side can post into their one-to-one chat.
+
+export const REPORT_REASONS = [
+    "Spam or scam",
+    "Harassment or abuse",
+    "Inappropriate content",
+    "Fraud or fake listing",
+    "Something else",
+];
+
+// Calls back with the users this user has blocked, most recent first
+export const subscribeToBlockedUsers = (uid, callback) => onSnapshot(
+    query(collection(db, "users", uid, "blockedUsers"), orderBy("blockedAt", "desc")),
+    (snapshot) => callback(snapshot.docs.map((blockedDoc) => ({
+        ...blockedDoc.data(),
+        uid: blockedDoc.id,
+        blockedAt: blockedDoc.data().blockedAt?.toDate() || null,
+    }))),
+    (error) => console.error("Error fetching blocked users:", error)
+);
+
+// Calls back with { blockedByMe, blockedMe } between two users, kept up to date from both sides
+export const subscribeToBlockStatus = (uid, otherUid, callback) => {
+    const status = { blockedByMe: false, blockedMe: false };
+    const unsubscribeMine = onSnapshot(doc(db, "users", uid, "blockedUsers", otherUid), (blockedSnap) => {
+        status.blockedByMe = blockedSnap.exists();
+        callback({ ...status });
+    }, (error) => console.error("Error fetching block status:", error));
+    const unsubscribeTheirs = onSnapshot(doc(db, "users", otherUid, "blockedUsers", uid), (blockedSnap) => {
+        status.blockedMe = blockedSnap.exists();
+        callback({ ...status });
+    }, (error) => console.error("Error fetching block status:", error));
+
+    return () => {
+        unsubscribeMine();
+        unsubscribeTheirs();
+    };
+};
+
+// user is { uid, name, image }
+export const blockUser = (uid, user) => setDoc(doc(db, "users", uid, "blockedUsers", user.uid), {
+    uid: user.uid,
+    name: user.name || null,
+    image: user.image || null,
+    blockedAt: serverTimestamp(),
+});
+
+export const unblockUser = (uid, blockedUid) => deleteDoc(doc(db, "users", uid, "blockedUsers", blockedUid));
+
+// message is the GiftedChat message being reported, or null when reporting the user in general
+export const reportUser = ({ reporterId, reportedUserId, chatId, reason, details, message }) => addDoc(collection(db, "reports"), {
+    reporterId,
+    reportedUserId,
+    chatId: chatId || null,
+    messageId: message?._id || null,
+    reason,
+    details: details?.trim() || null,
+    message: message ? {
+        text: message.text || null,
+        image: message.image || null,
+        file: message.file || null,
+        senderId: message.user._id,
+        senderName: message.user.name || null,
+        createdAt: message.createdAt || null,
+    } : null,
+    status: "open",
+    createdAt: serverTimestamp(),
+});
@@ -0,0 +1,141 @@
+import { db } from "@/firebase";
+import Constants from "expo-constants";
+import * as Device from "expo-device";
+import * as Notifications from "expo-notifications";
+import { useRouter } from "expo-router";
+import { deleteField, doc, serverTimestamp, setDoc, updateDoc } from "firebase/firestore";
+import { useEffect } from "react";
+import { AppState, Platform } from "react-native";
+
+// Push notifications for chat messages. Each device stores its Expo push token under the user:
+//   users/{uid}/pushTokens/{token} -> { token, platform, updatedAt, activeChatId }
+// activeChatId is the chat open on that device right now; the sendChatNotification Cloud Function
+// (functions/index.js) skips recipients who are already looking at the chat.
+
+let pushToken = null;
+let registration = null;
+let activeChatId = null;
+const handledResponses = new Set(); // Notification taps already routed (several screens listen)
+
+// Banners still show while the app is open, just not for the chat that's on screen
+Notifications.setNotificationHandler({
+    handleNotification: async (notification) => {
+        const isActiveChat = !!activeChatId && notification.request.content.data?.chatId === activeChatId;
+        return {
+            shouldShowAlert: !isActiveChat,
+            shouldShowBanner: !isActiveChat,
+            shouldShowList: !isActiveChat,
+            shouldPlaySound: !isActiveChat,
+            shouldSetBadge: false,
+        };
+    },
+});
+
+const tokenRef = (uid) => doc(db, "users", uid, "pushTokens", pushToken);
+
+// Asks for permission and saves this device's token. Safe to call from every screen.
+export const registerForPushNotifications = (uid) => {
+    if (!uid) return Promise.resolve(null);
+    if (registration?.uid === uid) return registration.promise;
+
+    const promise = (async () => {
+        if (!Device.isDevice) return null; // Simulators can't receive push notifications
+
+        if (Platform.OS === "android") {
+            await Notifications.setNotificationChannelAsync("chat", {
+                name: "Chat messages",
+                importance: Notifications.AndroidImportance.HIGH,
+            });
+        }
+
+        let { status } = await Notifications.getPermissionsAsync();
+        if (status !== "granted") {
+            ({ status } = await Notifications.requestPermissionsAsync());
+        }
+        if (status !== "granted") return null;
+
+        const projectId = Constants.expoConfig?.extra?.eas?.projectId ?? Constants.easConfig?.projectId;
+        const { data: token } = await Notifications.getExpoPushTokenAsync({ projectId });
+        pushToken = token;
+        await setDoc(tokenRef(uid), {
+            token,
+            platform: Platform.OS,
+            updatedAt: serverTimestamp(),
+            activeChatId,
+        }, { merge: true });
+        return token;
+    })().catch((error) => {
+        console.error("Error registering for push notifications:", error);
+        registration = null; // Try again next time
+        return null;
+    });
+
+    registration = { uid, promise };
+    return promise;
+};
+
+const saveActiveChat = (uid, chatId) => {
+    if (!pushToken) return Promise.resolve();
+    return updateDoc(tokenRef(uid), { activeChatId: chatId || deleteField() });
+};
+
+// Marks the chat as open on this device until the returned cleanup runs. While the app is in the
+// background the chat doesn't count as open, so notifications come through again.
+export const setActiveChat = (uid, chatId) => {
+    if (!uid || !chatId) return () => {};
+
+    const update = (nextChatId) => {
+        activeChatId = nextChatId;
+        saveActiveChat(uid, nextChatId).catch((error) => console.error("Error saving active chat:", error));
+    };
+
+    update(chatId);
+    // The token may only arrive after the chat opened
+    registerForPushNotifications(uid).then(() => {
+        if (activeChatId === chatId) update(chatId);
+    });
+    const appStateSubscription = AppState.addEventListener("change", (nextState) => {
+        update(nextState === "active" ? chatId : null);
+    });
+
+    return () => {
+        appStateSubscription.remove();
+        if (activeChatId === chatId) update(null);
+    };
+};
+
+// Routes notification taps (including the one that launched the app) to the chat they belong to.
+// The Cloud Function puts the params ChatScreen needs into the notification's data.
+export const useNotificationRouting = () => {
+    const router = useRouter();
+
+    useEffect(() => {
+        const openChat = (response) => {
+            const responseId = response?.notification.request.identifier;
+            const data = response?.notification.request.content.data;
+            if (!data?.chatId || handledResponses.has(responseId)) return;
+            handledResponses.add(responseId);
+
+            if (data.isGroup) {
+                router.push({ pathname: `/chat/${data.chatId}`, params: { chatId: data.chatId, title: data.title } });
+                return;
+            }
+            router.push({
+                pathname: `/chat/${data.recipientId}`,
+                params: {
+                    recipientId: data.recipientId,
+                    recipientName: data.recipientName,
+                    recipientImage: data.recipientImage,
+                    vehicleName: data.vehicleName,
+                    bookingId: data.bookingId,
+                },
+            });
+        };
+
+        Notifications.getLastNotificationResponseAsync()
+            .then(openChat)
+            .catch((error) => console.error("Error reading notification response:", error));
+        const subscription = Notifications.addNotificationResponseReceivedListener(openChat);
+        return () => subscription.remove();
+    }, [router]);
+};
@@ -0,0 +1,109 @@
+import {
+    getDatabase,
+    onDisconnect,
+    onValue,
+    ref,
+    remove,
+    serverTimestamp,
+    set,
+} from "firebase/database";
+import { AppState } from "react-native";
+
+// Presence lives in the Realtime Database rather than Firestore because only RTDB can
+// clear a value by itself (onDisconnect) when the connection drops.
+//   status/{uid}            -> { state: "online" | "offline", lastChanged }
+//   typing/{chatId}/{uid}   -> true while that user is typing in that chat
+
+const OFFLINE = { state: "offline", lastChanged: serverTimestamp() };
+const ONLINE = { state: "online", lastChanged: serverTimestamp() };
+
+// Several screens can ask for presence at once; only the first starts it and the last stops it
+let presenceUid = null;
+let presenceUsers = 0;
+let stopPresenceListeners = null;
+
+const goOnline = (uid) => {
+    const statusRef = ref(getDatabase(), `status/${uid}`);
+    // Register the disconnect handler first so a dropped connection never leaves us "online"
+    return onDisconnect(statusRef).set(OFFLINE).then(() => set(statusRef, ONLINE));
+};
+
+const goOffline = (uid) => set(ref(getDatabase(), `status/${uid}`), OFFLINE);
+
+export const startPresence = (uid) => {
+    if (!uid) return () => {};
+
+    presenceUsers += 1;
+    if (presenceUsers === 1 || presenceUid !== uid) {
+        stopPresenceListeners?.();
+        presenceUid = uid;
+
+        // .info/connected flips back to true after every reconnect, which is when onDisconnect must be re-armed
+        const unsubscribeConnected = onValue(ref(getDatabase(), ".info/connected"), (snapshot) => {
+            if (snapshot.val() === true && AppState.currentState === "active") {
+                goOnline(uid).catch((error) => console.error("Error setting presence:", error));
+            }
+        });
+
+        const appStateSubscription = AppState.addEventListener("change", (nextState) => {
+            const update = nextState === "active" ? goOnline(uid) : goOffline(uid);
+            update.catch((error) => console.error("Error updating presence:", error));
+        });
+
+        stopPresenceListeners = () => {
+            unsubscribeConnected();
+            appStateSubscription.remove();
+        };
+    }
+
+    return () => {
+        presenceUsers -= 1;
+        if (presenceUsers > 0) return;
+
+        stopPresenceListeners?.();
+        stopPresenceListeners = null;
+        goOffline(uid).catch((error) => console.error("Error clearing presence:", error));
+        presenceUid = null;
+    };
+};
+
+export const subscribeToPresence = (uid, callback) => onValue(
+    ref(getDatabase(), `status/${uid}`),
+    (snapshot) => callback(snapshot.val()),
+    (error) => console.error("Error fetching presence:", error)
+);
+
+export const setTyping = (chatId, uid, isTyping) => {
+    const typingRef = ref(getDatabase(), `typing/${chatId}/${uid}`);
+    if (!isTyping) return remove(typingRef);
+    return onDisconnect(typingRef).remove().then(() => set(typingRef, true));
+};
+
+// Calls back with the uids (other than our own) currently typing in the chat
+export const subscribeToTyping = (chatId, uid, callback) => onValue(
+    ref(getDatabase(), `typing/${chatId}`),
+    (snapshot) => callback(Object.keys(snapshot.val() || {}).filter((typingUid) => typingUid !== uid)),
+    (error) => console.error("Error fetching typing state:", error)
+);
+
+// e.g. "online", "last seen just now", "last seen 5 min ago", "last seen yesterday at 14:05"
+export const formatPresence = (presence) => {
+    if (!presence) return null;
+    if (presence.state === "online") return "online";
+    if (!presence.lastChanged) return null;
+
+    const lastSeen = new Date(presence.lastChanged);
+    const diffMinutes = Math.floor((Date.now() - lastSeen.getTime()) / 60000);
+    if (diffMinutes < 1) return "last seen just now";
+    if (diffMinutes < 60) return `last seen ${diffMinutes} min ago`;
+
+    const time = lastSeen.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const lastSeenDay = new Date(lastSeen.getFullYear(), lastSeen.getMonth(), lastSeen.getDate());
+    const diffDays = Math.round((today.getTime() - lastSeenDay.getTime()) / (24 * 60 * 60 * 1000));
+
+    if (diffDays === 0) return `last seen today at ${time}`;
+    if (diffDays === 1) return `last seen yesterday at ${time}`;
+    return `last seen ${lastSeen.toLocaleDateString([], { month: 'short', day: 'numeric' })}`;
+};
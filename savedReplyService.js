@@ -0,0 +1,56 @@
+import { db } from "@/firebase";
+import {
+    addDoc,
+    collection,
+    deleteDoc,
+    doc,
+    onSnapshot,
+    orderBy,
+    query,
+    serverTimestamp,
+    updateDoc,
+} from "firebase/firestore";
+
+// Saved replies ("templates") each user keeps for questions they answer over and over:
+//   users/{uid}/savedReplies/{replyId} -> { title, text, choices, createdAt, updatedAt }
+// text may contain placeholders like {renterName}, filled in from the chat when inserted. choices are
+// optional quick-reply chips ("Yes", "No") sent along with the message.
+
+export const TEMPLATE_PLACEHOLDERS = [
+    "renterName",
+    "ownerName",
+    "vehicleName",
+    "pickupLocation",
+    "dropoffLocation",
+    "pickupDate",
+    "returnDate",
+];
+
+// Replaces {placeholders} with values; ones without a value stay as they are so the gap is easy to spot
+export const fillTemplate = (text, values) => text.replace(/\{(\w+)\}/g, (placeholder, key) => values[key] || placeholder);
+
+// "Yes, No , " -> ["Yes", "No"]
+export const parseChoices = (text) => (text || "").split(",").map((choice) => choice.trim()).filter(Boolean);
+
+export const subscribeToSavedReplies = (uid, callback) => onSnapshot(
+    query(collection(db, "users", uid, "savedReplies"), orderBy("title", "asc")),
+    (snapshot) => callback(snapshot.docs.map((replyDoc) => ({ id: replyDoc.id, ...replyDoc.data() }))),
+    (error) => console.error("Error fetching saved replies:", error)
+);
+
+export const addSavedReply = (uid, { title, text, choices }) => addDoc(collection(db, "users", uid, "savedReplies"), {
+    title,
+    text,
+    choices: choices || [],
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+});
+
+export const updateSavedReply = (uid, replyId, { title, text, choices }) => updateDoc(doc(db, "users", uid, "savedReplies", replyId), {
+    title,
+    text,
+    choices: choices || [],
+    updatedAt: serverTimestamp(),
+});
+
+export const deleteSavedReply = (uid, replyId) => deleteDoc(doc(db, "users", uid, "savedReplies", replyId));
@@ -0,0 +1,316 @@
+import { auth } from "@/firebase"; // Your Firebase config
+import { MaterialIcons } from "@expo/vector-icons";
+import { useRouter } from "expo-router";
+import React, { useEffect, useState } from "react";
+import {
+    ActivityIndicator,
+    FlatList,
+    Image,
+    Platform,
+    SafeAreaView,
+    StatusBar,
+    StyleSheet,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    View,
+} from "react-native";
+import { searchMessages, splitByMatches, subscribeToUserChats } from "./chatService";
+
+const SEARCH_DEBOUNCE_MS = 400;
+
+// e.g. "14:05" today, "Jun 3" this year, "Jun 3, 2023" before that
+const formatResultDate = (date) => {
+    if (!date) return "";
+    const now = new Date();
+    if (date.toDateString() === now.toDateString()) {
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    if (date.getFullYear() === now.getFullYear()) {
+        return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+    }
+    return date.toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+// Searches the messages of every chat the user is in
+const MessageSearchScreen = () => {
+    const router = useRouter();
+    const currentUserUid = auth.currentUser?.uid;
+
+    const [chats, setChats] = useState({}); // chatId -> chat data, for naming the conversation of each hit
+    const [searchQuery, setSearchQuery] = useState("");
+    const [results, setResults] = useState([]);
+    const [searching, setSearching] = useState(false);
+
+    useEffect(() => {
+        if (!currentUserUid) return;
+        return subscribeToUserChats(currentUserUid, (snapshot) => {
+            const nextChats = {};
+            snapshot.docs.forEach((chatDoc) => {
+                nextChats[chatDoc.id] = chatDoc.data();
+            });
+            setChats(nextChats);
+        }, (error) => {
+            console.error("Error fetching chats for search:", error);
+        });
+    }, [currentUserUid]);
+
+    // Search once typing pauses; a newer query makes older responses irrelevant
+    const chatIdsKey = Object.keys(chats).sort().join(",");
+    useEffect(() => {
+        const term = searchQuery.trim();
+        if (term.length < 2 || !chatIdsKey) {
+            setResults([]);
+            setSearching(false);
+            return;
+        }
+
+        let cancelled = false;
+        setSearching(true);
+        const timeout = setTimeout(() => {
+            searchMessages(chatIdsKey.split(","), term)
+                .then((hits) => {
+                    if (!cancelled) setResults(hits);
+                })
+                .catch((error) => console.error("Error searching messages:", error))
+                .finally(() => {
+                    if (!cancelled) setSearching(false);
+                });
+        }, SEARCH_DEBOUNCE_MS);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timeout);
+        };
+    }, [searchQuery, chatIdsKey]);
+
+    const openResult = (result) => {
+        const chat = chats[result.chatId];
+        if (!chat) return;
+        const search = { searchQuery: searchQuery.trim(), focusMessageId: result.messageId };
+
+        if (chat.isGroup) {
+            router.push({ pathname: `/chat/${result.chatId}`, params: { chatId: result.chatId, title: chat.title, ...search } });
+            return;
+        }
+        const otherUserId = chat.participants.find((uid) => uid !== currentUserUid);
+        router.push({
+            pathname: `/chat/${otherUserId}`,
+            params: {
+                recipientId: otherUserId,
+                recipientName: chat.participantNames?.[otherUserId],
+                recipientImage: chat.participantImages?.[otherUserId],
+                vehicleName: chat.vehicleName,
+                bookingId: chat.bookingId,
+                ...search,
+            },
+        });
+    };
+
+    const renderResultItem = ({ item }) => {
+        const chat = chats[item.chatId] || {};
+        const otherUserId = chat.participants?.find((uid) => uid !== currentUserUid);
+        const conversationName = chat.isGroup
+            ? chat.title || "Group chat"
+            : chat.participantNames?.[otherUserId] || "Unknown User";
+
+        return (
+            <TouchableOpacity style={styles.resultItem} onPress={() => openResult(item)}>
+                {chat.isGroup ? (
+                    <View style={[styles.avatar, styles.groupAvatar]}>
+                        <MaterialIcons name="group" size={24} color="white" />
+                    </View>
+                ) : (
+                    <Image
+                        source={{ uri: chat.participantImages?.[otherUserId] || 'https://via.placeholder.com/150/CCCCCC/FFFFFF?text=User' }}
+                        style={styles.avatar}
+                    />
+                )}
+                <View style={styles.resultInfo}>
+                    <View style={styles.resultTopRow}>
+                        <Text style={styles.conversationName} numberOfLines={1}>{conversationName}</Text>
+                        <Text style={styles.resultDate}>{formatResultDate(item.createdAt)}</Text>
+                    </View>
+                    {chat.vehicleName && <Text style={styles.vehicleContext} numberOfLines={1}>{chat.vehicleName}</Text>}
+                    <Text style={styles.resultText} numberOfLines={2}>
+                        <Text style={styles.senderName}>
+                            {item.senderId === currentUserUid ? "You" : item.senderName || "Unknown"}:{" "}
+                        </Text>
+                        {splitByMatches(item.text, searchQuery).map((part, index) => (
+                            part.match ? <Text key={index} style={styles.highlight}>{part.text}</Text> : part.text
+                        ))}
+                    </Text>
+                </View>
+            </TouchableOpacity>
+        );
+    };
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <StatusBar barStyle="dark-content" backgroundColor="#F5F5F5" />
+
+            <View style={styles.header}>
+                <TouchableOpacity style={styles.headerIcon} onPress={() => router.back()}>
+                    <MaterialIcons name="arrow-back" size={26} color="#333" />
+                </TouchableOpacity>
+                <View style={styles.searchBarContainer}>
+                    <MaterialIcons name="search" size={20} color="#8A8A8E" style={styles.searchIcon} />
+                    <TextInput
+                        style={styles.searchInput}
+                        placeholder="Search all messages..."
+                        placeholderTextColor="#8A8A8E"
+                        value={searchQuery}
+                        onChangeText={setSearchQuery}
+                        returnKeyType="search"
+                        autoFocus
+                    />
+                </View>
+            </View>
+
+            {searching ? (
+                <View style={styles.loadingContainer}>
+                    <ActivityIndicator size="large" color="#4285F4" />
+                </View>
+            ) : (
+                <FlatList
+                    data={results}
+                    renderItem={renderResultItem}
+                    keyExtractor={(item) => `${item.chatId}/${item.messageId}`}
+                    keyboardShouldPersistTaps="handled"
+                    ListEmptyComponent={() => (
+                        <View style={styles.emptyListContainer}>
+                            <Text style={styles.emptyListText}>
+                                {searchQuery.trim().length < 2 ? "Search for words in your conversations." : "No messages found."}
+                            </Text>
+                        </View>
+                    )}
+                />
+            )}
+        </SafeAreaView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: "#F5F5F5",
+    },
+    loadingContainer: {
+        flex: 1,
+        justifyContent: "center",
+        alignItems: "center",
+        backgroundColor: "#F5F5F5",
+    },
+    header: {
+        flexDirection: "row",
+        alignItems: "center",
+        paddingHorizontal: 15,
+        paddingVertical: 10,
+        backgroundColor: "white",
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: "#E0E0E0",
+        ...Platform.select({
+            ios: {
+                shadowColor: '#000',
+                shadowOffset: { width: 0, height: 1 },
+                shadowOpacity: 0.1,
+                shadowRadius: 2,
+            },
+            android: {
+                elevation: 3,
+            },
+        }),
+    },
+    headerIcon: {
+        padding: 5,
+    },
+    searchBarContainer: {
+        flex: 1,
+        flexDirection: "row",
+        alignItems: "center",
+        backgroundColor: "#E0E0E0",
+        borderRadius: 25,
+        marginLeft: 10,
+        paddingHorizontal: 15,
+        paddingVertical: Platform.OS === 'ios' ? 10 : 6,
+    },
+    searchIcon: {
+        marginRight: 10,
+    },
+    searchInput: {
+        flex: 1,
+        color: "#333",
+        fontSize: 16,
+    },
+    resultItem: {
+        flexDirection: "row",
+        paddingVertical: 12,
+        paddingHorizontal: 15,
+        backgroundColor: "white",
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: "#EEE",
+    },
+    avatar: {
+        width: 44,
+        height: 44,
+        borderRadius: 22,
+        backgroundColor: '#C4C4C4',
+        marginRight: 12,
+    },
+    groupAvatar: {
+        backgroundColor: '#4285F4',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    resultInfo: {
+        flex: 1,
+    },
+    resultTopRow: {
+        flexDirection: "row",
+        justifyContent: "space-between",
+        alignItems: "center",
+    },
+    conversationName: {
+        flex: 1,
+        fontSize: 16,
+        fontWeight: "600",
+        color: "#333",
+        marginRight: 10,
+    },
+    resultDate: {
+        fontSize: 12,
+        color: "#888",
+    },
+    vehicleContext: {
+        fontSize: 12,
+        color: "#4285F4",
+        marginTop: 1,
+    },
+    resultText: {
+        fontSize: 14,
+        color: "#555",
+        marginTop: 3,
+    },
+    senderName: {
+        fontWeight: "600",
+        color: "#333",
+    },
+    highlight: {
+        backgroundColor: '#FFEB3B',
+        color: '#333',
+    },
+    emptyListContainer: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 20,
+        marginTop: 50,
+    },
+    emptyListText: {
+        fontSize: 16,
+        color: '#888',
+        textAlign: 'center',
+    },
+});
+
+export default MessageSearchScreen;
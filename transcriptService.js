@@ -0,0 +1,195 @@
+import { db } from "@/firebase";
+import * as FileSystem from "expo-file-system";
+import * as Print from "expo-print";
+import * as Sharing from "expo-sharing";
+import { collection, getDocs, orderBy, query } from "firebase/firestore";
+import { getBookingStatusLabel } from "./bookingLifecycle";
+
+// Conversation transcripts for disputes. Everything in a transcript comes from the stored thread:
+// timestamps are in UTC, lists are sorted and there's no "exported at" line, so exporting the same
+// thread twice gives the same text (and the same PDF content) on any device.
+
+const formatTimestamp = (date) => `${date.toISOString().slice(0, 19).replace("T", " ")} UTC`; // "2024-06-03 14:05:09 UTC"
+
+// Plain code point order; localeCompare would depend on the device's language
+const compareText = (a, b) => {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+};
+
+const formatDay = (isoDate) => (isoDate ? isoDate.slice(0, 10) : "?");
+
+const formatFileSize = (bytes) => {
+    if (!bytes) return "";
+    if (bytes < 1024 * 1024) return ` (${Math.round(bytes / 1024)} KB)`;
+    return ` (${(bytes / (1024 * 1024)).toFixed(1)} MB)`;
+};
+
+// Not the platform maps app: the link has to be the same whoever exports
+const getLocationUrl = ({ latitude, longitude }) => `https://www.google.com/maps/search/?api=1&query=${latitude},${longitude}`;
+
+const describeBooking = (booking) => [
+    booking.carModel,
+    booking.licensePlate && `plate ${booking.licensePlate}`,
+    `${formatDay(booking.pickupDate)} to ${formatDay(booking.returnDate)}`,
+    booking.price !== null && booking.price !== undefined && `$${parseFloat(booking.price).toFixed(2)}`,
+    getBookingStatusLabel(booking.status),
+].filter(Boolean).join(", ");
+
+// Lines shown under a message for everything that isn't its text: { label, text, url?, image? }
+const getMessageDetails = (message, names) => {
+    const details = [];
+    if (message.replyTo) {
+        details.push({ label: "In reply to", text: `${message.replyTo.senderName || "message"}: "${message.replyTo.text || ""}"` });
+    }
+    if (message.image) details.push({ label: "Photo", text: message.image, url: message.image, image: true });
+    if (message.file) {
+        details.push({
+            label: "Attachment",
+            text: `${message.file.name || "Document"}${formatFileSize(message.file.size)} ${message.file.url}`,
+            url: message.file.url,
+        });
+    }
+    if (message.booking) {
+        details.push({ label: "Shared booking", text: `${message.booking.bookingId}: ${describeBooking(message.booking)}` });
+    }
+    if (message.location) {
+        const { kind, address, latitude, longitude } = message.location;
+        const label = { meetingPoint: "Meeting point", live: "Live location" }[kind] || "Location";
+        details.push({
+            label,
+            text: `${address ? `${address} ` : ""}(${latitude.toFixed(5)}, ${longitude.toFixed(5)})`,
+            url: getLocationUrl(message.location),
+        });
+    }
+    if (message.quickReplies?.values?.length) {
+        details.push({ label: "Choices", text: message.quickReplies.values.map((choice) => choice.title).join(" / ") });
+    }
+    const reactions = Object.entries(message.reactions || {})
+        .map(([uid, emoji]) => `${emoji} ${names[uid] || uid}`)
+        .sort();
+    if (reactions.length > 0) details.push({ label: "Reactions", text: reactions.join(", ") });
+    if (message.editedAt) details.push({ label: "Edited", text: formatTimestamp(message.editedAt.toDate()) });
+    return details;
+};
+
+// Reads the whole thread, oldest first. Messages still waiting for their server timestamp aren't
+// part of the record yet and are left out.
+const buildTranscript = async ({ chatId, chat, booking }) => {
+    const snapshot = await getDocs(query(collection(db, "chats", chatId, "messages"), orderBy("createdAt", "asc")));
+    const names = chat.participantNames || {};
+    const participants = Object.keys(names)
+        .map((uid) => ({ uid, name: names[uid] || uid }))
+        .sort((a, b) => compareText(a.name, b.name) || compareText(a.uid, b.uid));
+
+    const messages = snapshot.docs
+        .filter((messageDoc) => messageDoc.data().createdAt)
+        .map((messageDoc) => ({ id: messageDoc.id, ...messageDoc.data() }))
+        // Same order every time, even for messages written in the same millisecond
+        .sort((a, b) => a.createdAt.toMillis() - b.createdAt.toMillis() || compareText(a.id, b.id))
+        .map((message) => ({
+            id: message.id,
+            timestamp: formatTimestamp(message.createdAt.toDate()),
+            sender: message.senderName || names[message.senderId] || message.senderId,
+            system: !!message.system,
+            text: message.deleted ? "[Message deleted]" : message.text || "",
+            details: message.deleted ? [] : getMessageDetails(message, names),
+        }));
+
+    const title = chat.isGroup
+        ? chat.title || "Group chat"
+        : participants.map((participant) => participant.name).join(" & ");
+    const summary = [
+        { label: "Conversation", text: title },
+        { label: "Chat ID", text: chatId },
+        { label: "Participants", text: participants.map((participant) => `${participant.name} (${participant.uid})`).join(", ") },
+        chat.vehicleName && { label: "Vehicle", text: chat.vehicleName },
+        booking && { label: "Booking", text: `${booking.bookingId}: ${describeBooking(booking)}` },
+        { label: "Messages", text: String(messages.length) },
+        messages.length > 0 && { label: "Period", text: `${messages[0].timestamp} to ${messages[messages.length - 1].timestamp}` },
+    ].filter(Boolean);
+
+    return { title, summary, messages };
+};
+
+const renderText = ({ summary, messages }) => [
+    "CONVERSATION TRANSCRIPT",
+    "",
+    ...summary.map(({ label, text }) => `${label}: ${text}`),
+    "",
+    "=".repeat(60),
+    ...messages.flatMap((message) => [
+        "",
+        message.system
+            ? `[${message.timestamp}] * ${message.text}`
+            : `[${message.timestamp}] ${message.sender}: ${message.text}`,
+        ...message.details.map(({ label, text }) => `    ${label}: ${text}`),
+    ]),
+    "",
+].join("\n");
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Photos are embedded, other attachments and locations are links
+const renderDetailHtml = ({ label, text, url, image }) => {
+    if (image) return `<div class="detail">${escapeHtml(label)}:<br><img src="${escapeHtml(url)}"></div>`;
+    const value = url ? `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>` : escapeHtml(text);
+    return `<div class="detail">${escapeHtml(label)}: ${value}</div>`;
+};
+
+const renderHtml = ({ title, summary, messages }) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: Helvetica, Arial, sans-serif; font-size: 11px; color: #333; }
+    h1 { font-size: 18px; }
+    table.summary td { padding: 2px 12px 2px 0; vertical-align: top; }
+    .message { border-top: 1px solid #DDD; padding: 6px 0; page-break-inside: avoid; }
+    .meta { color: #777; }
+    .system { font-style: italic; color: #555; }
+    .text { white-space: pre-wrap; margin-top: 2px; }
+    .detail { margin: 2px 0 0 16px; color: #555; word-break: break-all; }
+    .detail img { max-width: 240px; max-height: 240px; margin-top: 4px; }
+</style>
+</head>
+<body>
+<h1>Conversation transcript</h1>
+<table class="summary">
+${summary.map(({ label, text }) => `<tr><td><b>${escapeHtml(label)}</b></td><td>${escapeHtml(text)}</td></tr>`).join("\n")}
+</table>
+${messages.map((message) => `<div class="message">
+<div class="meta">${escapeHtml(message.timestamp)}${message.system ? "" : ` &middot; <b>${escapeHtml(message.sender)}</b>`}</div>
+<div class="text${message.system ? " system" : ""}">${escapeHtml(message.text)}</div>
+${message.details.map(renderDetailHtml).join("\n")}
+</div>`).join("\n")}
+</body>
+</html>`;
+
+// Writes the transcript as "pdf" or "text" and opens the share sheet with it. booking is the thread's
+// booking in ChatScreen's getBookingCard shape, if it has one. The file name only depends on the chat,
+// so a new export replaces the previous one in the cache.
+export const exportTranscript = async ({ chatId, chat, booking = null, format }) => {
+    const transcript = await buildTranscript({ chatId, chat, booking });
+    const fileUri = `${FileSystem.cacheDirectory}transcript-${chatId}.${format === "pdf" ? "pdf" : "txt"}`;
+    await FileSystem.deleteAsync(fileUri, { idempotent: true });
+
+    if (format === "pdf") {
+        const { uri } = await Print.printToFileAsync({ html: renderHtml(transcript) });
+        await FileSystem.moveAsync({ from: uri, to: fileUri });
+    } else {
+        await FileSystem.writeAsStringAsync(fileUri, renderText(transcript), { encoding: FileSystem.EncodingType.UTF8 });
+    }
+
+    if (!(await Sharing.isAvailableAsync())) {
+        throw new Error("Sharing isn't available on this device.");
+    }
+    await Sharing.shareAsync(fileUri, format === "pdf"
+        ? { mimeType: "application/pdf", UTI: "com.adobe.pdf", dialogTitle: "Export conversation" }
+        : { mimeType: "text/plain", UTI: "public.plain-text", dialogTitle: "Export conversation" });
+};
@@ -0,0 +1,68 @@
+import { db } from "@/firebase";
+import { collection, doc, getDoc, getDocs, limit, orderBy, query, startAfter, where } from "firebase/firestore";
+
+// User directory search. The syncUserSearchKeys Cloud Function (functions/index.js) keeps two derived
+// fields on every users/{uid} document:
+//   searchName -> normalized display name, used for ordering
+//   searchKeys -> normalized prefixes of displayName, fullName and email (whole and per word)
+// so "jo", "john s", "smith" and "john.smith@" all find John Smith with a single array-contains query.
+
+export const USERS_PAGE_SIZE = 25;
+
+// Values of the role field on users/{uid}
+export const USER_ROLES = [
+    { value: "owner", label: "Owners" },
+    { value: "renter", label: "Renters" },
+    { value: "support", label: "Support" },
+];
+const MAX_KEY_LENGTH = 30; // Must match the Cloud Function
+
+// Lowercase, without accents and surrounding/duplicate spaces: "  Zoë  Smith " -> "zoe smith"
+export const normalizeSearchText = (text) => (text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Name shown for a user document; fullName and email are fallbacks for profiles without a displayName
+export const getUserDisplayName = (data) => data.displayName || data.fullName || data.email;
+
+const mapUserDoc = (userDoc) => ({
+    id: userDoc.id,
+    displayName: getUserDisplayName(userDoc.data()),
+    profileImage: userDoc.data().profileImage || null,
+    role: userDoc.data().role || null,
+});
+
+// One page of users whose name or email starts with term (everyone when term is empty), ordered by name,
+// optionally only those with the given role. Pass the returned cursor back in to get the next page.
+export const searchUsers = async ({ term = "", role = null, cursor = null, pageSize = USERS_PAGE_SIZE }) => {
+    const normalizedTerm = normalizeSearchText(term).slice(0, MAX_KEY_LENGTH);
+    const constraints = [
+        ...(normalizedTerm ? [where("searchKeys", "array-contains", normalizedTerm)] : []),
+        ...(role ? [where("role", "==", role)] : []),
+        orderBy("searchName", "asc"),
+        ...(cursor ? [startAfter(cursor)] : []),
+        limit(pageSize),
+    ];
+
+    const snapshot = await getDocs(query(collection(db, "users"), ...constraints));
+    return {
+        users: snapshot.docs.map(mapUserDoc),
+        cursor: snapshot.docs[snapshot.docs.length - 1] || cursor,
+        hasMore: snapshot.docs.length === pageSize,
+    };
+};
+
+// Profiles for a handful of known users, keyed by uid (missing users are left out)
+export const getUserProfiles = async (uids) => {
+    const userSnaps = await Promise.all(uids.map((uid) => getDoc(doc(db, "users", uid))));
+    const profiles = {};
+    userSnaps
+        .filter((userSnap) => userSnap.exists())
+        .forEach((userSnap) => {
+            profiles[userSnap.id] = mapUserDoc(userSnap);
+        });
+    return profiles;
+};